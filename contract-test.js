@@ -0,0 +1,323 @@
+/*
+ * Storage backend contract tests for Timekeeper.
+ *
+ * Runs the same checks of the backend interface described at the top
+ * of script.js against every adapter: localStorage (with an in-memory
+ * stand-in for the browser's storage), the REST adapter talking to
+ * mock-server.js, and Firestore (with an in-memory stand-in for the
+ * Firebase compat SDK). script.js is loaded as the browser would load
+ * it, so the adapters under test are the app's own.
+ *
+ *   node contract-test.js [port]
+ *
+ * The mock server is started on the given port (default 8089) and
+ * stopped at the end. Exits with status 1 if any check fails. Uses no
+ * packages beyond Node itself.
+ */
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawn } = require('child_process');
+
+const PORT = Number(process.argv[2]) || 8089;
+
+// Compare a value from script.js, whose objects come from another
+// realm, with an expected value of this one
+const same = (actual, expected) => assert.deepEqual(JSON.parse(JSON.stringify(actual)), expected);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait until `condition()` holds, for at most `ms` milliseconds
+async function waitFor(condition, ms = 2000) {
+    const until = Date.now() + ms;
+    while (!condition()) {
+        if (Date.now() > until) return false;
+        await sleep(20);
+    }
+    return true;
+}
+
+// In-memory replacement for the browser's localStorage
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); },
+        clear: () => items.clear()
+    };
+}
+
+// In-memory replacement for the parts of the Firebase compat SDK the
+// Firestore adapter uses. Every app shares one database, like devices
+// connected to the same project. Snapshot listeners get the current
+// documents at once and after every write to their collection.
+// Transactions run one at a time, so none sees another's writes half
+// done.
+function createFakeFirebase() {
+    const collections = new Map();
+    const listeners = new Map();
+    let nextId = 0;
+    let transactions = Promise.resolve();
+    const docsOf = name => {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    };
+    const clone = data => JSON.parse(JSON.stringify(data));
+    const notify = name => (listeners.get(name) || []).forEach(listener => listener());
+    const docRef = (name, id) => ({
+        id,
+        async get() {
+            const docs = docsOf(name);
+            return { id, exists: docs.has(id), data: () => (docs.has(id) ? clone(docs.get(id)) : undefined) };
+        },
+        async set(data) {
+            docsOf(name).set(id, clone(data));
+            notify(name);
+        },
+        async delete() {
+            docsOf(name).delete(id);
+            notify(name);
+        }
+    });
+    const snapshotOf = name => {
+        const docs = Array.from(docsOf(name), ([id, data]) => ({ id, ref: docRef(name, id), data: () => clone(data) }));
+        return { forEach: callback => docs.forEach(callback) };
+    };
+    const db = {
+        collection: name => ({
+            doc: (id = `fake${++nextId}`) => docRef(name, String(id)),
+            async add(data) {
+                const ref = docRef(name, `fake${++nextId}`);
+                await ref.set(data);
+                return ref;
+            },
+            async get() {
+                return snapshotOf(name);
+            },
+            onSnapshot(onNext) {
+                const listener = () => onNext(snapshotOf(name));
+                if (!listeners.has(name)) listeners.set(name, []);
+                listeners.get(name).push(listener);
+                setTimeout(listener, 0);
+                return () => listeners.set(name, listeners.get(name).filter(l => l !== listener));
+            }
+        }),
+        runTransaction(update) {
+            const run = transactions.then(async () => {
+                const writes = [];
+                const result = await update({
+                    get: ref => ref.get(),
+                    set: (ref, data) => writes.push(() => ref.set(data)),
+                    delete: ref => writes.push(() => ref.delete())
+                });
+                for (const write of writes) await write();
+                return result;
+            });
+            transactions = run.catch(() => {});
+            return run;
+        }
+    };
+    return {
+        apps: [],
+        initializeApp(config) {
+            this.apps.push(config);
+        },
+        firestore: () => db
+    };
+}
+
+// Load script.js into a fresh browser-like global scope and return it.
+// The page's DOMContentLoaded handler is never run, so only the
+// declarations are used.
+function loadApp(globals = {}) {
+    const listeners = new Map();
+    const context = vm.createContext(Object.assign({
+        console,
+        crypto: globalThis.crypto,
+        fetch: globalThis.fetch,
+        URL,
+        TextEncoder,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        navigator: { onLine: true },
+        localStorage: createMemoryStorage(),
+        document: { addEventListener() {} },
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, []);
+            listeners.get(type).push(listener);
+        },
+        removeEventListener(type, listener) {
+            listeners.set(type, (listeners.get(type) || []).filter(l => l !== listener));
+        },
+        dispatchEvent(event) {
+            (listeners.get(event.type) || []).forEach(listener => listener(event));
+        }
+    }, globals));
+    context.window = context;
+    vm.runInContext(fs.readFileSync(path.join(__dirname, 'script.js'), 'utf8'), context, { filename: 'script.js' });
+    return context;
+}
+
+// Each adapter gives a backend under test and a second client of the
+// same store, whose writes the first one should see through watch().
+const ADAPTERS = {
+    async local() {
+        const app = loadApp();
+        const other = app.createLocalStorageBackend();
+        return {
+            backend: app.createLocalStorageBackend(),
+            // Another tab writes to the same localStorage, and the
+            // browser announces it with a "storage" event
+            async externalWrite(collection, id, data) {
+                await other.put(collection, id, data);
+                app.dispatchEvent({ type: 'storage', key: collection === 'settings' ? id : collection });
+            }
+        };
+    },
+    async rest() {
+        const baseUrl = `http://localhost:${PORT}/api`;
+        const app = loadApp();
+        const other = app.createRestBackend({ baseUrl });
+        return {
+            backend: app.createRestBackend({ baseUrl, pollSeconds: 0.05 }),
+            externalWrite: (collection, id, data) => other.put(collection, id, data)
+        };
+    },
+    async firestore() {
+        const firebase = createFakeFirebase();
+        const config = { projectId: 'contract-test' };
+        const other = loadApp({ firebase }).createFirestoreBackend(config);
+        await other.init();
+        return {
+            backend: loadApp({ firebase }).createFirestoreBackend(config),
+            externalWrite: (collection, id, data) => other.put(collection, id, data)
+        };
+    }
+};
+
+// The checks every adapter must pass, in order; they share one store
+const CHECKS = {
+    async 'init() prepares the backend'({ backend }) {
+        await backend.init();
+    },
+    async 'get() returns null for a missing document'({ backend }) {
+        assert.equal(await backend.get('logs', 'missing'), null);
+        assert.equal(await backend.get('settings', 'paySettings'), null);
+    },
+    async 'list() returns an empty array for an empty collection'({ backend }) {
+        same(await backend.list('logs'), []);
+    },
+    async 'put() stores a document that get() returns'({ backend }) {
+        const schedule = { days: [null, { start: '09:00', end: '17:00' }, null, null, null, null, null] };
+        await backend.put('schedules', 'bob', schedule);
+        same(await backend.get('schedules', 'bob'), schedule);
+        await backend.put('settings', 'paySettings', { startDays: [1, 15] });
+        same(await backend.get('settings', 'paySettings'), { startDays: [1, 15] });
+    },
+    async 'put() replaces an existing document'({ backend }) {
+        await backend.put('schedules', 'bob', { days: [] });
+        same(await backend.get('schedules', 'bob'), { days: [] });
+    },
+    async 'add() returns a new string ID for each document'({ backend }) {
+        const first = { username: 'bob', date: '2024-03-04', punchIn: '09:00' };
+        const second = { username: 'bob', date: '2024-03-05', punchIn: '09:00' };
+        const firstId = await backend.add('logs', first);
+        const secondId = await backend.add('logs', second);
+        assert.equal(typeof firstId, 'string');
+        assert.notEqual(firstId, secondId);
+        same(await backend.get('logs', firstId), first);
+        same(await backend.get('logs', secondId), second);
+    },
+    async 'add() works for the append-only audit trail'({ backend }) {
+        const event = { entity: 'log', entityId: 'x', action: 'create', actor: 'admin' };
+        const id = await backend.add('audit', event);
+        same(await backend.get('audit', id), event);
+    },
+    async 'list() returns every document with its ID'({ backend }) {
+        const logs = await backend.list('logs');
+        assert.equal(logs.length, 2);
+        for (const { id, data } of logs) {
+            assert.equal(typeof id, 'string');
+            assert.equal(JSON.stringify(await backend.get('logs', id)), JSON.stringify(data));
+        }
+        same(await backend.list('settings'), [{ id: 'paySettings', data: { startDays: [1, 15] } }]);
+    },
+    async 'IDs may contain characters that need escaping'({ backend }) {
+        await backend.put('currentPunch', 'j.doe-1_x', { date: '2024-03-04', punchIn: '09:00', breaks: [] });
+        same(await backend.get('currentPunch', 'j.doe-1_x'), { date: '2024-03-04', punchIn: '09:00', breaks: [] });
+        same((await backend.list('currentPunch')).map(doc => doc.id), ['j.doe-1_x']);
+    },
+    async 'remove() deletes a document'({ backend }) {
+        const [log] = await backend.list('logs');
+        await backend.remove('logs', log.id);
+        assert.equal(await backend.get('logs', log.id), null);
+        assert.equal((await backend.list('logs')).length, 1);
+        await backend.remove('settings', 'paySettings');
+        assert.equal(await backend.get('settings', 'paySettings'), null);
+    },
+    async 'remove() of a missing document does nothing'({ backend }) {
+        await backend.remove('logs', 'missing');
+        assert.equal((await backend.list('logs')).length, 1);
+    },
+    async 'watch() reports writes of another client until stopped'({ backend, externalWrite }) {
+        let changes = 0;
+        const stop = backend.watch('schedules', () => { changes++; });
+        assert.equal(typeof stop, 'function');
+        // Let the watcher take its first look at the collection
+        await sleep(200);
+        const before = changes;
+        await externalWrite('schedules', 'carl', { days: [] });
+        assert.ok(await waitFor(() => changes > before), 'onChange was not called');
+        stop();
+        await sleep(200);
+        const stopped = changes;
+        await externalWrite('schedules', 'dana', { days: [] });
+        await sleep(300);
+        assert.equal(changes, stopped, 'onChange was called after watching stopped');
+    }
+};
+
+// Start mock-server.js and resolve with its process once it listens
+function startMockServer() {
+    return new Promise((resolve, reject) => {
+        const server = spawn(process.execPath, [path.join(__dirname, 'mock-server.js'), String(PORT)]);
+        server.on('error', reject);
+        server.on('exit', code => reject(new Error(`mock-server.js exited with status ${code}.`)));
+        server.stdout.on('data', data => {
+            if (String(data).includes('listening')) resolve(server);
+        });
+    });
+}
+
+async function main() {
+    let failures = 0;
+    const server = await startMockServer();
+    try {
+        for (const [adapter, setup] of Object.entries(ADAPTERS)) {
+            const subject = await setup();
+            for (const [name, check] of Object.entries(CHECKS)) {
+                try {
+                    await check(subject);
+                    console.log(`ok      ${adapter}: ${name}`);
+                } catch (e) {
+                    failures++;
+                    console.log(`FAILED  ${adapter}: ${name}\n        ${e.message}`);
+                }
+            }
+        }
+    } finally {
+        server.removeAllListeners('exit');
+        server.kill();
+    }
+    console.log(failures ? `${failures} check(s) failed.` : 'All checks passed.');
+    process.exitCode = failures ? 1 : 0;
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
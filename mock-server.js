@@ -0,0 +1,123 @@
+/*
+ * Mock REST backend for Timekeeper.
+ *
+ * Stands in for our own server while testing the "rest" storage
+ * backend. It serves the app's static files and an in-memory JSON API
+ * under /api that implements the contract described at
+ * createRestBackend() in script.js. Requests for config.js get a
+ * configuration that selects this API, so no edits are needed:
+ *
+ *   node mock-server.js [port]
+ *
+ * then open http://localhost:8080/ (or the chosen port). Data lives
+ * only as long as the process. Uses no packages beyond Node itself.
+ * contract-test.js starts it to check the REST backend.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8080;
+const ROOT = __dirname;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png'
+};
+const CONFIG_JS = "window.timekeeperConfig = { backend: 'rest', rest: { baseUrl: '/api' } };\n";
+
+// collection name -> Map(id -> document)
+const collections = new Map();
+
+function getCollection(name) {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : null);
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, parts) {
+    const [name, id] = parts;
+    if (!name || parts.length > 2) return send(res, 404, { error: 'Not found' });
+    const docs = getCollection(name);
+    if (id === undefined) {
+        if (req.method === 'GET') {
+            return send(res, 200, Array.from(docs, ([docId, data]) => ({ id: docId, data })));
+        }
+        if (req.method === 'POST') {
+            const newId = crypto.randomBytes(10).toString('hex');
+            docs.set(newId, await readBody(req));
+            return send(res, 201, { id: newId });
+        }
+    } else {
+        if (req.method === 'GET') {
+            return docs.has(id) ? send(res, 200, docs.get(id)) : send(res, 404, { error: 'Not found' });
+        }
+        if (req.method === 'PUT') {
+            docs.set(id, await readBody(req));
+            return send(res, 200, { id });
+        }
+        if (req.method === 'DELETE') {
+            docs.delete(id);
+            res.writeHead(204);
+            return res.end();
+        }
+    }
+    send(res, 405, { error: 'Method not allowed' });
+}
+
+function serveStatic(req, res, pathname) {
+    if (pathname === '/config.js') {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'] });
+        return res.end(CONFIG_JS);
+    }
+    const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    if (!file.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+    fs.readFile(file, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (parts[0] === 'api') {
+        handleApi(req, res, parts.slice(1)).catch(err => send(res, 400, { error: err.message }));
+    } else {
+        serveStatic(req, res, decodeURIComponent(pathname));
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Timekeeper mock server listening on http://localhost:${PORT}/`);
+});
@@ -2,327 +2,1554 @@
  * Timekeeper Web Application
  *
  * This file provides all of the client‑side logic for the Timekeeper demo app.
- * Because GitHub Pages only supports static content, the app stores data in
- * the browser's localStorage to simulate a backend. In a production setup
- * you would replace the storage helpers below with calls to a real database
- * such as Firebase, Supabase or a serverless function.
+ * Because GitHub Pages only supports static content, the app can store data
+ * in the browser's localStorage to simulate a backend. In a production setup
+ * config.js selects a real database instead: Cloud Firestore or our own
+ * HTTP/JSON API (see the storage backends below).
  */
 
+/*
+ * Storage backends.
+ *
+ * Persistence is delegated to a backend chosen by configuration (see
+ * createBackend below). Every backend stores named collections of JSON
+ * documents, each identified by a string ID, and implements the same
+ * asynchronous interface:
+ *
+ *   init()                     prepare the backend; throws if unusable
+ *   list(collection)           all documents as [{ id, data }]
+ *   get(collection, id)        one document's data, or null
+ *   put(collection, id, data)  create or replace a document
+ *   add(collection, data)      create a document and return its new ID
+ *   remove(collection, id)     delete a document (no-op if missing)
+ *   watch(collection, onChange) call onChange() whenever documents of
+ *                              the collection change, including on
+ *                              other devices or tabs; returns a
+ *                              function that stops watching
+ *
+ * An operation that fails because the backend cannot be reached throws
+ * an error with `offline: true` (Firestore's own errors carry the code
+ * "unavailable" instead), so that punches can be queued for later.
+ * `node contract-test.js` checks every backend against this interface.
+ *
+ * The collections used by the app are "accounts", "logs", "settings"
+ * (ID = "paySettings"), "currentPunch" (ID = username), "schedules"
+ * (ID = username), "audit", "periods" (ID = payPeriodStart),
+ * "timesheets" (ID = getTimesheetId()) and "conflicts". Accounts and logs get a unique ID generated by the
+ * backend when they are added. Documents never contain their own ID;
+ * the Storage object below adds it where callers need it.
+ */
+
+// How each collection is laid out in localStorage. "array" collections
+// are a JSON array under `key`, whose documents are identified by
+// `idOf(doc)` or, when absent, by their position in the array (only
+// used for the append-only audit trail). "map" collections are a JSON
+// object keyed by document ID. Any other collection stores each
+// document under its own key, named by its ID; only the `ids` listed
+// for it can be enumerated.
+const LOCAL_COLLECTIONS = {
+    accounts: { key: 'accounts', layout: 'map' },
+    logs: { key: 'logs', layout: 'map' },
+    audit: { key: 'audit', layout: 'array' },
+    timesheets: { key: 'timesheets', layout: 'array', idOf: t => getTimesheetId(t.username, t.periodStart) },
+    currentPunch: { key: 'currentPunch', layout: 'map' },
+    periods: { key: 'periodStates', layout: 'map' },
+    conflicts: { key: 'punchConflicts', layout: 'map' },
+    schedules: { key: 'schedules', layout: 'map' },
+    settings: { layout: 'keys', ids: ['paySettings', 'exportProfiles'] }
+};
+
+/**
+ * Backend that keeps everything in the browser's localStorage. This is
+ * sufficient for local testing and offline use on a single device.
+ */
+function createLocalStorageBackend() {
+    const layoutOf = collection => LOCAL_COLLECTIONS[collection] || { layout: 'keys' };
+    const read = (key, fallback) => JSON.parse(localStorage.getItem(key) || 'null') || fallback;
+    const write = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+    // Position of a document in an "array" collection, or -1
+    const indexOf = (spec, docs, id) => (spec.idOf
+        ? docs.findIndex(doc => spec.idOf(doc) === id)
+        : (/^\d+$/.test(id) && Number(id) < docs.length ? Number(id) : -1));
+    return {
+        name: 'local',
+        async init() {
+            // Accounts and logs used to be arrays addressed by position,
+            // which shifted whenever an entry was removed. Give every
+            // existing entry a generated ID instead.
+            ['accounts', 'logs'].forEach(collection => {
+                const { key } = LOCAL_COLLECTIONS[collection];
+                const stored = read(key, null);
+                if (Array.isArray(stored)) {
+                    write(key, Object.fromEntries(stored.map(doc => [randomHex(10), doc])));
+                }
+            });
+        },
+        async list(collection) {
+            const spec = layoutOf(collection);
+            if (spec.layout === 'array') {
+                return read(spec.key, []).map((data, index) => ({ id: spec.idOf ? spec.idOf(data) : String(index), data }));
+            }
+            if (spec.layout === 'map') {
+                return Object.entries(read(spec.key, {})).map(([id, data]) => ({ id, data }));
+            }
+            if (!spec.ids) {
+                throw new Error(`Collection ${collection} cannot be listed in localStorage.`);
+            }
+            return spec.ids.filter(id => localStorage.getItem(id) !== null).map(id => ({ id, data: read(id, null) }));
+        },
+        async get(collection, id) {
+            const spec = layoutOf(collection);
+            id = String(id);
+            if (spec.layout === 'array') {
+                const docs = read(spec.key, []);
+                const index = indexOf(spec, docs, id);
+                return index >= 0 ? docs[index] : null;
+            }
+            if (spec.layout === 'map') {
+                return read(spec.key, {})[id] ?? null;
+            }
+            return read(id, null);
+        },
+        async put(collection, id, data) {
+            const spec = layoutOf(collection);
+            id = String(id);
+            if (spec.layout === 'array') {
+                const docs = read(spec.key, []);
+                const index = indexOf(spec, docs, id);
+                if (index >= 0) docs[index] = data;
+                else docs.push(data);
+                write(spec.key, docs);
+            } else if (spec.layout === 'map') {
+                const docs = read(spec.key, {});
+                docs[id] = data;
+                write(spec.key, docs);
+            } else {
+                write(id, data);
+            }
+        },
+        async add(collection, data) {
+            const spec = layoutOf(collection);
+            if (spec.layout === 'array' && !spec.idOf) {
+                const docs = read(spec.key, []);
+                docs.push(data);
+                write(spec.key, docs);
+                return String(docs.length - 1);
+            }
+            const id = spec.idOf ? spec.idOf(data) : randomHex(10);
+            await this.put(collection, id, data);
+            return id;
+        },
+        async remove(collection, id) {
+            const spec = layoutOf(collection);
+            id = String(id);
+            if (spec.layout === 'array') {
+                const docs = read(spec.key, []);
+                const index = indexOf(spec, docs, id);
+                if (index < 0) return;
+                docs.splice(index, 1);
+                write(spec.key, docs);
+            } else if (spec.layout === 'map') {
+                const docs = read(spec.key, {});
+                delete docs[id];
+                write(spec.key, docs);
+            } else {
+                localStorage.removeItem(id);
+            }
+        },
+        // Other tabs of this browser announce their writes through
+        // "storage" events; writes in this tab are not reported.
+        watch(collection, onChange) {
+            const spec = layoutOf(collection);
+            const keys = spec.key ? [spec.key] : (spec.ids || []);
+            const listener = event => {
+                if (event.key === null || keys.includes(event.key)) onChange();
+            };
+            window.addEventListener('storage', listener);
+            return () => window.removeEventListener('storage', listener);
+        }
+    };
+}
+
+/**
+ * Backend that stores each collection in Cloud Firestore, which keeps
+ * several devices in sync. Requires the Firebase compat SDK and a
+ * config with a projectId.
+ */
+function createFirestoreBackend(firebaseConfig) {
+    return {
+        name: 'firestore',
+        db: null,
+        async init() {
+            if (!firebaseConfig || !firebaseConfig.projectId ||
+                typeof firebase === 'undefined' || typeof firebase.initializeApp !== 'function') {
+                throw new Error('Firebase is not configured or its SDK is not loaded.');
+            }
+            // Initialise Firebase app only if not already initialised
+            if (firebase.apps && firebase.apps.length === 0) {
+                firebase.initializeApp(firebaseConfig);
+            }
+            this.db = firebase.firestore();
+            // Enable offline persistence in Firestore. If it fails (e.g. multiple tabs), we ignore the error.
+            if (typeof this.db.enablePersistence === 'function') {
+                try {
+                    await this.db.enablePersistence({ synchronizeTabs: true });
+                } catch (err) {
+                    console.warn('Firestore persistence could not be enabled:', err);
+                }
+            }
+            await this.migrateAccounts();
+        },
+        // Account documents used to be keyed by username and to hold the
+        // employee's open punch in a `currentPunch` field. Move each one
+        // to a new ID and its punch to the currentPunch collection. Every
+        // client runs this when it starts, so the new ID is derived from
+        // the old one, and each move is a transaction that re-reads the
+        // legacy document: a client starting late neither copies an
+        // account again nor overwrites one already migrated and changed.
+        async migrateAccounts() {
+            const snapshot = await this.db.collection('accounts').get();
+            const legacy = [];
+            snapshot.forEach(doc => {
+                if (doc.id === doc.data().username) legacy.push(doc);
+            });
+            for (const { id, ref } of legacy) {
+                const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`account:${id}`));
+                const newRef = this.db.collection('accounts').doc(bytesToHex(new Uint8Array(digest).slice(0, 10)));
+                await this.db.runTransaction(async transaction => {
+                    const doc = await transaction.get(ref);
+                    if (!doc.exists) return;
+                    const migrated = await transaction.get(newRef);
+                    const { currentPunch, ...account } = doc.data();
+                    if (!migrated.exists) {
+                        transaction.set(newRef, account);
+                        if (currentPunch) transaction.set(this.db.collection('currentPunch').doc(id), currentPunch);
+                    }
+                    transaction.delete(ref);
+                });
+            }
+        },
+        async list(collection) {
+            const snapshot = await this.db.collection(collection).get();
+            const docs = [];
+            snapshot.forEach(doc => docs.push({ id: doc.id, data: doc.data() }));
+            return docs;
+        },
+        async get(collection, id) {
+            const doc = await this.db.collection(collection).doc(String(id)).get();
+            return doc.exists ? doc.data() : null;
+        },
+        async put(collection, id, data) {
+            await this.db.collection(collection).doc(String(id)).set(data);
+        },
+        async add(collection, data) {
+            const docRef = await this.db.collection(collection).add(data);
+            return docRef.id;
+        },
+        async remove(collection, id) {
+            await this.db.collection(collection).doc(String(id)).delete();
+        },
+        watch(collection, onChange) {
+            return this.db.collection(collection).onSnapshot(() => onChange(), err => {
+                console.warn(`Stopped watching ${collection}:`, err);
+            });
+        }
+    };
+}
+
+/**
+ * Backend that talks to an HTTP/JSON API, such as our own server or
+ * mock-server.js during testing. Each collection is a resource under
+ * `baseUrl`:
+ *
+ *   GET    {baseUrl}/{collection}       → [{ id, data }]
+ *   GET    {baseUrl}/{collection}/{id}  → data (404 when missing)
+ *   PUT    {baseUrl}/{collection}/{id}  body: data
+ *   POST   {baseUrl}/{collection}       body: data → { id }
+ *   DELETE {baseUrl}/{collection}/{id}
+ *
+ * `headers` are sent with every request, e.g. an Authorization header.
+ * The API has no change notifications, so watched collections are
+ * polled every `pollSeconds`.
+ */
+function createRestBackend({ baseUrl = '/api', headers = {}, pollSeconds = 15 } = {}) {
+    const urlFor = (...parts) => [baseUrl.replace(/\/+$/, '')].concat(parts.map(p => encodeURIComponent(p))).join('/');
+    async function request(method, url, body) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (e) {
+            // fetch only rejects when no response could be obtained
+            const error = new Error(`Cannot reach the server at ${url}.`);
+            error.offline = true;
+            throw error;
+        }
+        if (response.status === 404 && method === 'GET') return null;
+        if (!response.ok) {
+            throw new Error(`${method} ${url} failed with status ${response.status}.`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+    return {
+        name: 'rest',
+        async init() {},
+        async list(collection) {
+            return (await request('GET', urlFor(collection))) || [];
+        },
+        async get(collection, id) {
+            return request('GET', urlFor(collection, String(id)));
+        },
+        async put(collection, id, data) {
+            await request('PUT', urlFor(collection, String(id)), data);
+        },
+        async add(collection, data) {
+            const created = await request('POST', urlFor(collection), data);
+            return String(created.id);
+        },
+        async remove(collection, id) {
+            await request('DELETE', urlFor(collection, String(id)));
+        },
+        watch(collection, onChange) {
+            let last = null;
+            const poll = async () => {
+                try {
+                    const current = JSON.stringify(await this.list(collection));
+                    if (last !== null && current !== last) onChange();
+                    last = current;
+                } catch (e) {
+                    // Offline; try again at the next poll
+                }
+            };
+            poll();
+            const timer = setInterval(poll, pollSeconds * 1000);
+            return () => clearInterval(timer);
+        }
+    };
+}
+
+// Create the backend named by `config.backend`: "local" (the default),
+// "firestore" (using `config.firebase`) or "rest" (using `config.rest`).
+function createBackend(config = {}) {
+    switch (config.backend || 'local') {
+        case 'local':
+            return createLocalStorageBackend();
+        case 'firestore':
+            return createFirestoreBackend(config.firebase);
+        case 'rest':
+            return createRestBackend(config.rest);
+        default:
+            throw new Error(`Unknown storage backend "${config.backend}".`);
+    }
+}
+
+/*
+ * Backups.
+ *
+ * A backup is a versioned JSON bundle holding every document of every
+ * collection, as { app, version, exportedAt, backend, collections }
+ * where `collections` maps a collection name to [{ id, data }]. Because
+ * it only uses the backend interface, the same bundle can be restored
+ * into any backend, which is also how data is copied between backends.
+ */
+
+// Version of the bundle format written by exportBackend()
+const BACKUP_VERSION = 1;
+// Collections included in a backup, in the order they are restored
+const BACKUP_COLLECTIONS = ['settings', 'accounts', 'schedules', 'periods', 'logs', 'timesheets', 'currentPunch', 'conflicts', 'audit'];
+
+// Read every collection of a backend into a backup bundle
+async function exportBackend(backend) {
+    const collections = {};
+    for (const collection of BACKUP_COLLECTIONS) {
+        collections[collection] = await backend.list(collection);
+    }
+    return {
+        app: 'timekeeper',
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        backend: backend.name,
+        collections
+    };
+}
+
+// Check that a parsed bundle can be restored. Returns a list of
+// problems, empty when the bundle is valid. Replacing requires at least
+// one administrator so that somebody can still sign in afterwards.
+function validateBackup(bundle, mode = 'merge') {
+    if (!bundle || typeof bundle !== 'object' || bundle.app !== 'timekeeper') {
+        return ['This file is not a Timekeeper backup.'];
+    }
+    if (bundle.version !== BACKUP_VERSION) {
+        return [`Unsupported backup version ${bundle.version}; expected ${BACKUP_VERSION}.`];
+    }
+    const collections = bundle.collections;
+    if (!collections || typeof collections !== 'object') {
+        return ['The backup contains no collections.'];
+    }
+    const errors = [];
+    Object.keys(collections).forEach(collection => {
+        if (!BACKUP_COLLECTIONS.includes(collection)) {
+            errors.push(`Unknown collection "${collection}".`);
+        }
+    });
+    BACKUP_COLLECTIONS.forEach(collection => {
+        const docs = collections[collection] ?? [];
+        if (!Array.isArray(docs)) {
+            errors.push(`Collection "${collection}" must be a list.`);
+            return;
+        }
+        const ids = new Set();
+        docs.forEach((doc, index) => {
+            const where = `${collection} #${index + 1}`;
+            if (!doc || typeof doc.id !== 'string' || !doc.id || !doc.data || typeof doc.data !== 'object') {
+                errors.push(`${where} must have a string id and a data object.`);
+                return;
+            }
+            if (ids.has(doc.id)) errors.push(`${where} repeats the id "${doc.id}".`);
+            ids.add(doc.id);
+        });
+    });
+    if (errors.length) return errors;
+    const usernames = new Set();
+    collections.accounts?.forEach(({ data }, index) => {
+        if (typeof data.username !== 'string' || !data.username) {
+            errors.push(`accounts #${index + 1} has no username.`);
+        } else if (usernames.has(data.username)) {
+            errors.push(`accounts #${index + 1} repeats the username "${data.username}".`);
+        }
+        usernames.add(data.username);
+        if (!['admin', 'employee'].includes(data.role)) {
+            errors.push(`accounts #${index + 1} has an unknown role "${data.role}".`);
+        }
+    });
+    collections.logs?.forEach(({ data }, index) => {
+        if (!data.username || !/^\d{4}-\d{2}-\d{2}$/.test(data.date || '') ||
+            !/^\d{2}:\d{2}$/.test(data.punchIn || '') || !/^\d{2}:\d{2}$/.test(data.punchOut || '')) {
+            errors.push(`logs #${index + 1} needs a username, date, punchIn and punchOut.`);
+        }
+    });
+    collections.settings?.forEach(({ id, data }) => {
+        if (id === 'exportProfiles') {
+            if (!Array.isArray(data.profiles)) errors.push('The export profiles have no profiles list.');
+        } else if (id !== 'paySettings') {
+            errors.push(`Unknown settings document "${id}".`);
+        } else if (!Array.isArray(data.startDays)) {
+            errors.push('The pay settings have no startDays.');
+        }
+    });
+    if (mode === 'replace' && !(collections.accounts || []).some(({ data }) => data.role === 'admin')) {
+        errors.push('Replacing requires the backup to contain at least one administrator account.');
+    }
+    return errors;
+}
+
+// Audit entity recorded for a restored document of each collection
+// (settings documents are audited under their own id)
+const BACKUP_AUDIT_ENTITIES = {
+    accounts: 'account',
+    schedules: 'schedule',
+    periods: 'period',
+    logs: 'log',
+    timesheets: 'timesheet',
+    currentPunch: 'currentPunch',
+    conflicts: 'conflict'
+};
+
+// Work out how restoring a bundle would change a backend, as a list of
+// { collection, id, before, after } for every document that would be
+// created (before is null), changed, or removed (after is null; only
+// when replacing). Documents already identical are left out. Audit
+// events are not included: they are only ever appended.
+async function planBackendImport(backend, bundle, mode) {
+    const changes = [];
+    for (const collection of BACKUP_COLLECTIONS) {
+        if (collection === 'audit') continue;
+        const docs = bundle.collections[collection] || [];
+        const existing = await backend.list(collection);
+        const incoming = docs.map(({ id, data }) => {
+            if (collection !== 'accounts') return { id, data };
+            const match = existing.find(doc => doc.data.username === data.username);
+            return { id: match ? match.id : id, data };
+        });
+        if (mode === 'replace') {
+            const keep = new Set(incoming.map(doc => doc.id));
+            existing.filter(doc => !keep.has(doc.id)).forEach(doc => {
+                changes.push({ collection, id: doc.id, before: doc.data, after: null });
+            });
+        }
+        incoming.forEach(({ id, data }) => {
+            const before = existing.find(doc => doc.id === id)?.data ?? null;
+            if (JSON.stringify(before) !== JSON.stringify(data)) changes.push({ collection, id, before, after: data });
+        });
+    }
+    return changes;
+}
+
+// The approved pay periods whose logs, timesheets or state a planned
+// import would change, given the backend's current period states
+function findLockedImportPeriods(changes, periodStates) {
+    const locked = new Set();
+    const check = start => {
+        if (start && periodStates[start]?.status === 'approved') locked.add(start);
+    };
+    changes.forEach(({ collection, id, before, after }) => {
+        if (collection === 'logs') [before, after].forEach(log => check(log?.payPeriodStart));
+        if (collection === 'timesheets') [before, after].forEach(timesheet => check(timesheet?.periodStart));
+        if (collection === 'periods') check(id);
+    });
+    return Array.from(locked).sort();
+}
+
+// Restore a validated bundle into a backend. "merge" adds the bundle's
+// documents and overwrites those with the same id (accounts are matched
+// by username); "replace" also removes every document not in the
+// bundle. Nothing is written if this would change an approved pay
+// period; such periods must be reopened first. `onChange` is called
+// with each change (see planBackendImport) once it is written, so that
+// it can be audited. Audit events are only ever appended, skipping
+// events already present, so that the trail stays complete either way.
+// Returns the number of documents in the bundle per collection.
+async function importIntoBackend(backend, bundle, mode = 'merge', onChange = async () => {}) {
+    const changes = await planBackendImport(backend, bundle, mode);
+    const periodStates = Object.fromEntries((await backend.list('periods')).map(({ id, data }) => [id, data]));
+    const locked = findLockedImportPeriods(changes, periodStates);
+    if (locked.length) {
+        throw new Error(`The backup would change the approved pay period${locked.length > 1 ? 's' : ''} ` +
+            `${locked.join(', ')}. Reopen ${locked.length > 1 ? 'them' : 'it'} before restoring.`);
+    }
+    for (const change of changes) {
+        if (change.after) await backend.put(change.collection, change.id, change.after);
+        else await backend.remove(change.collection, change.id);
+        await onChange(change);
+    }
+    const existingAudit = new Set((await backend.list('audit')).map(({ data }) => JSON.stringify(data)));
+    for (const { data } of bundle.collections.audit || []) {
+        if (!existingAudit.has(JSON.stringify(data))) await backend.add('audit', data);
+    }
+    const counts = {};
+    BACKUP_COLLECTIONS.forEach(collection => { counts[collection] = (bundle.collections[collection] || []).length; });
+    return counts;
+}
+
 /*
  * Storage abstraction layer.
  *
- * This object abstracts away persistence so the rest of the application can
- * treat all data operations as asynchronous. By default, it uses
- * browser‑localStorage to persist accounts, logs, pay settings and
- * current punch information. If a Firebase configuration is supplied via
- * the global `firebaseConfig` variable, the `init()` method will
- * initialize Firebase and switch to Cloud Firestore for all reads and
- * writes. Firestore provides realtime updates and automatic
- * synchronization across clients, enabling use of the app on multiple
- * devices simultaneously. When no Firebase config is defined, the app
- * continues to function using localStorage, which is sufficient for
- * local testing and offline use.
+ * This object holds the application's data rules – password hashing,
+ * pay period locks and the audit trail – on top of whichever backend is
+ * configured, so the rest of the application can treat all data
+ * operations as asynchronous without knowing where the data lives. The
+ * backend is chosen by `window.timekeeperConfig` (see config.js).
  */
 const Storage = {
-    useFirestore: false,
-    db: null,
+    backend: null,
+    // Username recorded as the actor of audit events. Set on login.
+    actor: null,
     /**
-     * Initialise the storage layer. If a valid firebaseConfig is present
-     * on the window and the Firebase libraries have been loaded, this
-     * method will initialise Firebase and Cloud Firestore. Otherwise it
-     * falls back to localStorage. Must be called before any other
-     * storage operation.
+     * Initialise the storage layer with the configured backend. If that
+     * backend cannot be initialised (for example the Firebase libraries
+     * failed to load) it falls back to localStorage. Must be called
+     * before any other storage operation.
      */
-    async init() {
+    async init(config = window.timekeeperConfig || {}) {
         try {
-            // Detect whether firebaseConfig has been provided
-            if (
-                typeof window !== 'undefined' &&
-                window.firebaseConfig &&
-                window.firebaseConfig.projectId &&
-                typeof firebase !== 'undefined' &&
-                typeof firebase.initializeApp === 'function'
-            ) {
-                // Initialise Firebase app only if not already initialised
-                if (firebase.apps && firebase.apps.length === 0) {
-                    firebase.initializeApp(window.firebaseConfig);
-                }
-                this.db = firebase.firestore();
-                // Enable offline persistence in Firestore. If it fails (e.g. multiple tabs), we ignore the error.
-                if (this.db && typeof this.db.enablePersistence === 'function') {
-                    try {
-                        await this.db.enablePersistence({ synchronizeTabs: true });
-                    } catch (err) {
-                        console.warn('Firestore persistence could not be enabled:', err);
-                    }
-                }
-                this.useFirestore = true;
-            }
+            this.backend = createBackend(config);
+            await this.backend.init();
         } catch (e) {
-            console.warn('Firebase initialisation failed, falling back to localStorage.', e);
-            this.useFirestore = false;
-        }
-        // If not using Firestore ensure localStorage keys exist
-        if (!this.useFirestore) {
-            if (!localStorage.getItem('accounts')) localStorage.setItem('accounts', JSON.stringify([]));
-            if (!localStorage.getItem('logs')) localStorage.setItem('logs', JSON.stringify([]));
-            if (!localStorage.getItem('paySettings')) localStorage.setItem('paySettings', JSON.stringify({ startDays: [1, 15] }));
-            if (!localStorage.getItem('currentPunch')) localStorage.setItem('currentPunch', JSON.stringify({}));
+            console.warn('Storage backend initialisation failed, falling back to localStorage.', e);
+            this.backend = createLocalStorageBackend();
+            await this.backend.init();
         }
     },
     /**
      * Ensure the default admin account and default pay period settings
      * exist. This method creates a default administrator account with
-     * username/password "admin" if no accounts exist in storage. When
-     * using Firestore, this method will create the admin document only
-     * once – subsequent calls simply return. With localStorage, it
-     * initialises the relevant arrays/objects if they are missing.
+     * username/password "admin" if no accounts exist in storage; the
+     * password is hashed like any other and must be changed on first
+     * login. Subsequent calls simply return.
      */
     async initDefaults() {
-        if (this.useFirestore) {
-            const accountsRef = this.db.collection('accounts');
-            const snapshot = await accountsRef.limit(1).get();
-            if (snapshot.empty) {
-                await accountsRef.doc('admin').set({ username: 'admin', password: 'admin', role: 'admin' });
-            }
-            const settingsDoc = await this.db.collection('settings').doc('paySettings').get();
-            if (!settingsDoc.exists) {
-                await this.db.collection('settings').doc('paySettings').set({ startDays: [1, 15] });
-            }
-            // There is no central collection needed for currentPunch; it will be stored per user document when punching
-        } else {
-            // localStorage fallback handled in init()
-            let accounts = JSON.parse(localStorage.getItem('accounts') || '[]');
-            if (!accounts || accounts.length === 0) {
-                accounts = [];
-                accounts.push({ username: 'admin', password: 'admin', role: 'admin' });
-                localStorage.setItem('accounts', JSON.stringify(accounts));
-            }
-            const settings = JSON.parse(localStorage.getItem('paySettings') || 'null');
-            if (!settings) {
-                localStorage.setItem('paySettings', JSON.stringify({ startDays: [1, 15] }));
-            }
+        const accounts = await this.getAccounts();
+        if (accounts.length === 0) {
+            await this.upsertAccount({ username: 'admin', password: 'admin', role: 'admin', mustChangePassword: true });
+        }
+        if (!(await this.backend.get('settings', 'paySettings'))) {
+            await this.backend.put('settings', 'paySettings', { startDays: [1, 15], timeZone: getDeviceTimeZone() });
         }
     },
     /**
-     * Retrieve all accounts. Returns an array of account objects.
+     * Retrieve all accounts. Returns an array of account objects, each
+     * with its `id`.
      */
     async getAccounts() {
-        if (this.useFirestore) {
-            const snapshot = await this.db.collection('accounts').get();
-            const accounts = [];
-            snapshot.forEach(doc => accounts.push(doc.data()));
-            return accounts;
-        } else {
-            return JSON.parse(localStorage.getItem('accounts') || '[]');
-        }
+        return (await this.backend.list('accounts')).map(doc => Object.assign({ id: doc.id }, doc.data));
     },
     /**
-     * Save the entire list of accounts. Only used with localStorage.
+     * Retrieve the account with the given username, or null.
+     */
+    async getAccountByUsername(username) {
+        return (await this.getAccounts()).find(account => account.username === username) || null;
+    },
+    /**
+     * Save a list of accounts, creating or replacing each one.
      */
     async setAccounts(accounts) {
-        if (this.useFirestore) {
-            // For Firestore we update each account individually. This method is not
-            // used extensively because Firestore writes should be atomic per doc.
-            const batch = this.db.batch();
-            accounts.forEach(acc => {
-                const ref = this.db.collection('accounts').doc(acc.username);
-                batch.set(ref, acc);
-            });
-            await batch.commit();
-        } else {
-            localStorage.setItem('accounts', JSON.stringify(accounts));
+        const before = await this.getAccounts();
+        for (const { id, ...account } of accounts) {
+            if (id) await this.backend.put('accounts', id, account);
+            else await this.backend.add('accounts', account);
         }
+        await this.appendAudit('account', '*', 'update', before, accounts);
     },
     /**
-     * Create or update a single account.
+     * Create or update a single account, matched by its `id` or, failing
+     * that, its username. If the account carries a
+     * plaintext `password` field it is salted and hashed before being
+     * persisted; the plaintext is never written to storage. Returns
+     * the account as stored, with its id.
      */
     async upsertAccount(account) {
-        if (this.useFirestore) {
-            await this.db.collection('accounts').doc(account.username).set(account);
+        if (typeof account.password === 'string') {
+            account = await hashAccountPassword(account);
+        }
+        const { id: givenId, ...data } = account;
+        const existing = givenId ? null : await this.getAccountByUsername(data.username);
+        let id = givenId || existing?.id;
+        const before = id ? await this.backend.get('accounts', id) : null;
+        if (id) {
+            await this.backend.put('accounts', id, data);
         } else {
-            const accounts = JSON.parse(localStorage.getItem('accounts') || '[]');
-            const idx = accounts.findIndex(a => a.username === account.username);
-            if (idx >= 0) {
-                accounts[idx] = account;
-            } else {
-                accounts.push(account);
-            }
-            localStorage.setItem('accounts', JSON.stringify(accounts));
+            id = await this.backend.add('accounts', data);
+        }
+        const passwordChanged = before !== null && before.passwordHash !== data.passwordHash;
+        await this.appendAudit('account', data.username, before ? 'update' : 'create', before, data,
+            passwordChanged ? 'Password changed' : '');
+        return Object.assign({ id }, data);
+    },
+    /**
+     * Create a new account. Unlike upsertAccount this never touches an
+     * existing account: it fails if the username is already taken. A
+     * plaintext `password` is hashed as in upsertAccount. Returns the
+     * account as stored, with its id.
+     */
+    async createAccount(account) {
+        if (await this.getAccountByUsername(account.username)) {
+            throw new Error(`Username '${account.username}' already exists.`);
         }
+        const data = typeof account.password === 'string' ? await hashAccountPassword(account) : account;
+        const id = await this.backend.add('accounts', data);
+        await this.appendAudit('account', data.username, 'create', null, data);
+        return Object.assign({ id }, data);
     },
     /**
-     * Delete an account by username. Also deletes associated logs.
+     * Replace an employee's rate history (see getRateHistory). Rejected
+     * if it would change the rate of any shift in an approved pay
+     * period. Returns the updated account.
+     */
+    async setRateHistory(username, rateHistory) {
+        const account = await this.getAccountByUsername(username);
+        if (!account) throw new Error(`There is no account named '${username}'.`);
+        const updated = { rateHistory };
+        const changed = (await this.getLogs()).filter(log => (
+            log.username === username && getRateForDate(account, log.date) !== getRateForDate(updated, log.date)
+        ));
+        await this.assertPeriodsUnlocked(...changed.map(log => log.payPeriodStart));
+        // The single legacy rate is superseded by the history
+        const { hourlyRate, ...data } = account;
+        return this.upsertAccount(Object.assign(data, updated));
+    },
+    /**
+     * Deactivate or reactivate an account. A deactivated account
+     * (`active: false`, with `deactivatedAt`) cannot sign in or punch
+     * but keeps its history. An employee who is punched in must punch
+     * out first. Returns the updated account.
+     */
+    async setAccountActive(username, active) {
+        const account = await this.getAccountByUsername(username);
+        if (!account) throw new Error(`There is no account named '${username}'.`);
+        if (!active && (await this.backend.get('currentPunch', username))) {
+            throw new Error(`'${username}' is punched in. Punch them out before deactivating the account.`);
+        }
+        const { active: wasActive, deactivatedAt, ...data } = account;
+        return this.upsertAccount(active ? data : Object.assign(data, {
+            active: false,
+            deactivatedAt: new Date().toISOString()
+        }));
+    },
+    /**
+     * Change an account's username. Logs, the open punch, the roster,
+     * timesheets and punch conflicts refer to the employee by username
+     * and are moved along with it. Pay period locks do not apply because
+     * the recorded hours and pay stay the same; every moved document is
+     * recorded in the audit trail, documents keyed by username as
+     * deleted under the old key and created under the new one. Returns
+     * the updated account.
+     */
+    async renameAccount(username, newUsername) {
+        if (!isValidUsername(newUsername)) {
+            throw new Error('Usernames may only contain letters, digits, dots, dashes and underscores (up to 32).');
+        }
+        const account = await this.getAccountByUsername(username);
+        if (!account) throw new Error(`There is no account named '${username}'.`);
+        if (await this.getAccountByUsername(newUsername)) {
+            throw new Error(`Username '${newUsername}' already exists.`);
+        }
+        const reason = `Renamed from ${username} to ${newUsername}`;
+        const { id, ...before } = account;
+        const after = Object.assign({}, before, { username: newUsername });
+        await this.backend.put('accounts', id, after);
+        await this.appendAudit('account', newUsername, 'update', before, after, reason);
+        for (const doc of await this.backend.list('logs')) {
+            if (doc.data.username !== username) continue;
+            const log = Object.assign({}, doc.data, { username: newUsername });
+            await this.backend.put('logs', doc.id, log);
+            await this.appendAudit('log', doc.id, 'update', doc.data, log, reason);
+        }
+        for (const collection of ['currentPunch', 'schedules']) {
+            const data = await this.backend.get(collection, username);
+            if (!data) continue;
+            const entity = collection === 'schedules' ? 'schedule' : collection;
+            await this.backend.put(collection, newUsername, data);
+            await this.appendAudit(entity, newUsername, 'create', null, data, reason);
+            await this.backend.remove(collection, username);
+            await this.appendAudit(entity, username, 'delete', data, null, reason);
+        }
+        for (const doc of await this.backend.list('timesheets')) {
+            if (doc.data.username !== username) continue;
+            const timesheet = Object.assign({}, doc.data, { username: newUsername });
+            const newId = getTimesheetId(newUsername, timesheet.periodStart);
+            await this.backend.put('timesheets', newId, timesheet);
+            await this.appendAudit('timesheet', newId, 'create', null, timesheet, reason);
+            await this.backend.remove('timesheets', doc.id);
+            await this.appendAudit('timesheet', doc.id, 'delete', doc.data, null, reason);
+        }
+        for (const doc of await this.backend.list('conflicts')) {
+            if (doc.data.username !== username) continue;
+            const conflict = Object.assign({}, doc.data, { username: newUsername });
+            await this.backend.put('conflicts', doc.id, conflict);
+            await this.appendAudit('conflict', doc.id, 'update', doc.data, conflict, reason);
+        }
+        return Object.assign({ id }, after);
+    },
+    /**
+     * Delete an account by username. Payroll history must be kept, so
+     * an employee with recorded shifts cannot be deleted; deactivate the
+     * account instead (see setAccountActive).
      */
     async deleteAccount(username) {
-        if (this.useFirestore) {
-            await this.db.collection('accounts').doc(username).delete();
-            // delete logs belonging to this user
-            const logsRef = this.db.collection('logs');
-            const snapshot = await logsRef.where('username', '==', username).get();
-            const batch = this.db.batch();
-            snapshot.forEach(doc => batch.delete(doc.ref));
-            await batch.commit();
-        } else {
-            let accounts = JSON.parse(localStorage.getItem('accounts') || '[]');
-            accounts = accounts.filter(a => a.username !== username);
-            localStorage.setItem('accounts', JSON.stringify(accounts));
-            let logs = JSON.parse(localStorage.getItem('logs') || '[]');
-            logs = logs.filter(log => log.username !== username);
-            localStorage.setItem('logs', JSON.stringify(logs));
+        const ownLogs = (await this.backend.list('logs')).filter(doc => doc.data.username === username);
+        if (ownLogs.length) {
+            throw new Error(`'${username}' has recorded shifts that must be kept. Deactivate the account instead.`);
+        }
+        let before = null;
+        const account = await this.getAccountByUsername(username);
+        if (account) {
+            const { id, ...data } = account;
+            before = data;
+            await this.backend.remove('accounts', id);
         }
+        await this.setSchedule(username, null);
+        await this.appendAudit('account', username, 'delete', before, null);
     },
     /**
-     * Retrieve all log records. Each record includes: username, date
-     * (YYYY‑MM‑DD), punchIn, punchOut, minutesWorked, payPeriodStart and
-     * optional deduction.
+     * Retrieve all log records, sorted by date, each with its `id`.
+     * Each record includes: username, date
+     * (YYYY‑MM‑DD of the punch in), punchIn, punchOutDate, punchOut,
+     * roundedIn, roundedOut (paid "YYYY-MM-DDTHH:MM" times after the
+     * rounding policy), minutesWorked, payPeriodStart, payPeriodEnd and
+     * optional deduction. Shifts
+     * punched by employees also carry their `breaks`, `breakMinutes` and
+     * any `autoDeduction` made by the break policy. Shifts closed
+     * automatically after a forgotten punch-out have `generatedBy`
+     * "system". Entries
+     * created or changed by an administrator also carry an `edits` array
+     * of { by, at, reason }.
      */
     async getLogs() {
-        if (this.useFirestore) {
-            const snapshot = await this.db.collection('logs').get();
-            const logs = [];
-            snapshot.forEach(doc => {
-                const data = doc.data();
-                logs.push(Object.assign({ id: doc.id }, data));
-            });
-            // Sort logs by date ascending for predictable display
-            logs.sort((a, b) => a.date.localeCompare(b.date));
-            return logs;
-        } else {
-            return JSON.parse(localStorage.getItem('logs') || '[]');
-        }
+        const logs = (await this.backend.list('logs')).map(doc => Object.assign({ id: doc.id }, doc.data));
+        // Sort logs by date ascending for predictable display
+        logs.sort((a, b) => a.date.localeCompare(b.date));
+        return logs;
+    },
+    /**
+     * Retrieve a single log entry, with its `id`, or null if there is no
+     * entry with that id.
+     */
+    async getLog(logId) {
+        const log = await this.backend.get('logs', logId);
+        return log ? Object.assign({ id: String(logId) }, log) : null;
     },
     /**
-     * Add a new log entry. Returns the created entry (with id if using
-     * Firestore).
+     * Add a new log entry. Returns the created entry with its
+     * generated id. When an `id` is given the entry is stored under it
+     * instead, and if an entry with that id exists already it is returned
+     * unchanged, so that the same shift recorded twice (e.g. by two
+     * devices) is only kept once.
      */
-    async addLog(log) {
-        if (this.useFirestore) {
-            const docRef = await this.db.collection('logs').add(log);
-            return Object.assign({ id: docRef.id }, log);
+    async addLog(log, id = null) {
+        await this.assertPeriodsUnlocked(log.payPeriodStart);
+        if (id) {
+            const existing = await this.getLog(id);
+            if (existing) return existing;
+            await this.backend.put('logs', id, log);
         } else {
-            const logs = JSON.parse(localStorage.getItem('logs') || '[]');
-            logs.push(log);
-            localStorage.setItem('logs', JSON.stringify(logs));
-            return log;
+            id = await this.backend.add('logs', log);
         }
+        const reason = log.edits && log.edits.length ? log.edits[log.edits.length - 1].reason : '';
+        await this.appendAudit('log', id, 'create', null, log, reason);
+        return Object.assign({ id }, log);
     },
     /**
-     * Update an existing log entry by its Firestore ID or index in
-     * localStorage. For Firestore, logId is the document ID; for
-     * localStorage, logId should be the index within the logs array.
+     * Update an existing log entry by its id. Rejects changes to, or
+     * into, an approved pay period.
      */
     async updateLog(logId, updatedFields) {
-        if (this.useFirestore) {
-            await this.db.collection('logs').doc(logId).update(updatedFields);
-        } else {
-            const logs = JSON.parse(localStorage.getItem('logs') || '[]');
-            if (logId >= 0 && logId < logs.length) {
-                logs[logId] = Object.assign({}, logs[logId], updatedFields);
-                localStorage.setItem('logs', JSON.stringify(logs));
-            }
-        }
+        const before = await this.backend.get('logs', logId);
+        if (!before) return;
+        await this.assertPeriodsUnlocked(before.payPeriodStart, updatedFields.payPeriodStart);
+        const { id, ...after } = Object.assign({}, before, updatedFields);
+        await this.backend.put('logs', logId, after);
+        const edits = updatedFields.edits || [];
+        const reason = edits.length ? edits[edits.length - 1].reason : '';
+        await this.appendAudit('log', logId, 'update', before, after, reason);
     },
     /**
-     * Retrieve pay period settings. Returns { startDays: [ ... ] }.
+     * Delete a log entry by its id. The reason is recorded in the audit
+     * trail. Entries in an approved pay period cannot be deleted.
+     */
+    async deleteLog(logId, reason = '') {
+        const before = await this.backend.get('logs', logId);
+        if (!before) return;
+        await this.assertPeriodsUnlocked(before.payPeriodStart);
+        await this.backend.remove('logs', logId);
+        await this.appendAudit('log', logId, 'delete', before, null, reason);
+    },
+    /**
+     * Retrieve pay period settings. Returns { startDays: [ ... ] } plus
+     * the organisation `timeZone` and the optional `periodType`,
+     * `anchorDate`, `overtimeRules`, `workweekStartDay`, `breakPolicy`,
+     * `roundingPolicy`, `attendancePolicy` and `stalePunchPolicy`.
      */
     async getPaySettings() {
-        if (this.useFirestore) {
-            const doc = await this.db.collection('settings').doc('paySettings').get();
-            if (doc.exists) {
-                return doc.data();
-            }
-            return { startDays: [1, 15] };
-        } else {
-            return JSON.parse(localStorage.getItem('paySettings') || 'null') || { startDays: [1, 15] };
-        }
+        return (await this.backend.get('settings', 'paySettings')) || { startDays: [1, 15] };
     },
     /**
      * Save pay period settings.
      */
     async setPaySettings(settings) {
-        if (this.useFirestore) {
-            await this.db.collection('settings').doc('paySettings').set(settings);
-        } else {
-            localStorage.setItem('paySettings', JSON.stringify(settings));
-        }
+        const before = await this.getPaySettings();
+        await this.backend.put('settings', 'paySettings', settings);
+        await this.appendAudit('paySettings', 'paySettings', 'update', before, settings);
+    },
+    /**
+     * Retrieve the saved payroll export profiles as an array of
+     * { name, format, period, username, columns: [{ key, header }] }.
+     */
+    async getExportProfiles() {
+        return ((await this.backend.get('settings', 'exportProfiles')) || { profiles: [] }).profiles;
+    },
+    /**
+     * Save an export profile, replacing any existing profile of the same
+     * name.
+     */
+    async saveExportProfile(profile) {
+        const before = await this.getExportProfiles();
+        const profiles = before.filter(p => p.name !== profile.name).concat([profile])
+            .sort((a, b) => a.name.localeCompare(b.name));
+        await this.backend.put('settings', 'exportProfiles', { profiles });
+        await this.appendAudit('exportProfile', profile.name, before.some(p => p.name === profile.name) ? 'update' : 'create',
+            before.find(p => p.name === profile.name) || null, profile);
+    },
+    /**
+     * Delete the export profile with the given name.
+     */
+    async deleteExportProfile(name) {
+        const before = await this.getExportProfiles();
+        const profile = before.find(p => p.name === name);
+        if (!profile) return;
+        await this.backend.put('settings', 'exportProfiles', { profiles: before.filter(p => p !== profile) });
+        await this.appendAudit('exportProfile', name, 'delete', profile, null);
     },
     /**
-     * Retrieve current punch map keyed by username. In Firestore, each
-     * employee document stores the current punch under the `currentPunch`
-     * field. This method consolidates all such values into a map
-     * (username -> { date, punchIn }).
+     * Retrieve the open punch of every employee who is punched in, as a
+     * map username -> { date, punchIn, breaks }. Punches flagged as
+     * forgotten punch-outs also carry `flaggedAt` and `flagReason`.
      */
     async getCurrentPunch() {
-        if (this.useFirestore) {
-            const map = {};
-            const accountsSnapshot = await this.db.collection('accounts').get();
-            accountsSnapshot.forEach(doc => {
-                const data = doc.data();
-                if (data.currentPunch) {
-                    map[data.username] = data.currentPunch;
-                }
-            });
-            return map;
+        const map = {};
+        (await this.backend.list('currentPunch')).forEach(doc => { map[doc.id] = doc.data; });
+        return map;
+    },
+    /**
+     * Save the open punch of a user; passing `record` as null removes it.
+     */
+    async setCurrentPunch(username, record) {
+        const before = await this.backend.get('currentPunch', username);
+        if (record) {
+            await this.backend.put('currentPunch', username, record);
         } else {
-            return JSON.parse(localStorage.getItem('currentPunch') || 'null') || {};
+            await this.backend.remove('currentPunch', username);
         }
+        const after = record || null;
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        const action = !before ? 'create' : (!after ? 'delete' : 'update');
+        await this.appendAudit('currentPunch', username, action, before, after);
     },
     /**
-     * Save the entire currentPunch map (localStorage) or update the
-     * currentPunch field of a specific user (Firestore). When using
-     * Firestore, pass `username` and `record` to update that user's
-     * currentPunch field; passing `record` as null will remove the field.
+     * Retrieve the weekly roster of every employee who has one, as a map
+     * username -> { days } (see getScheduledShift).
      */
-    async setCurrentPunch(username, record) {
-        if (this.useFirestore) {
-            const docRef = this.db.collection('accounts').doc(username);
-            if (record) {
-                await docRef.update({ currentPunch: record });
-            } else {
-                await docRef.update({ currentPunch: firebase.firestore.FieldValue.delete() });
-            }
+    async getSchedules() {
+        const map = {};
+        (await this.backend.list('schedules')).forEach(doc => { map[doc.id] = doc.data; });
+        return map;
+    },
+    /**
+     * Save an employee's weekly roster; passing `schedule` as null
+     * removes it.
+     */
+    async setSchedule(username, schedule) {
+        const before = await this.backend.get('schedules', username);
+        if (!before && !schedule) return;
+        if (schedule) {
+            await this.backend.put('schedules', username, schedule);
         } else {
-            // localStorage: username should be null when saving entire map
-            if (typeof username === 'object' && record === undefined) {
-                // storing full object
-                localStorage.setItem('currentPunch', JSON.stringify(username));
-            } else {
-                // storing per user
-                const map = JSON.parse(localStorage.getItem('currentPunch') || 'null') || {};
-                if (record) {
-                    map[username] = record;
-                } else {
-                    delete map[username];
-                }
-                localStorage.setItem('currentPunch', JSON.stringify(map));
-            }
+            await this.backend.remove('schedules', username);
+        }
+        const action = !before ? 'create' : (!schedule ? 'delete' : 'update');
+        await this.appendAudit('schedule', username, action, before, schedule || null);
+    },
+    /**
+     * Retrieve the workflow state of every pay period that has one, as a
+     * map payPeriodStart -> { status, updatedBy, updatedAt }. Periods
+     * without an entry are "open".
+     */
+    async getPeriodStates() {
+        const states = {};
+        (await this.backend.list('periods')).forEach(doc => { states[doc.id] = doc.data; });
+        return states;
+    },
+    /**
+     * Move a pay period to a new workflow state. Only the transitions in
+     * PERIOD_TRANSITIONS are allowed; anything else throws. Reopening an
+     * approved period is the explicit unlock and should carry a reason.
+     */
+    async setPeriodState(periodStart, status, reason = '') {
+        const before = await this.backend.get('periods', periodStart);
+        const current = before ? before.status : 'open';
+        if (!(PERIOD_TRANSITIONS[current] || []).includes(status)) {
+            throw new Error(`Pay period ${periodStart} cannot move from ${current} to ${status}.`);
+        }
+        const after = { status, updatedBy: this.actor || 'system', updatedAt: new Date().toISOString() };
+        await this.backend.put('periods', periodStart, after);
+        await this.appendAudit('period', periodStart, before ? 'update' : 'create', before, after, reason);
+    },
+    /**
+     * Retrieve all employee timesheets. Each is { username, periodStart,
+     * periodEnd, status, flags, comment, submittedAt, reviewedBy,
+     * reviewedAt, reviewComment } where status is "submitted", "approved"
+     * or "rejected" and `flags` maps a shift's punch-in timestamp to the
+     * employee's comment on it.
+     */
+    async getTimesheets() {
+        return (await this.backend.list('timesheets')).map(doc => doc.data);
+    },
+    /**
+     * Create or replace the timesheet for an employee and pay period.
+     */
+    async saveTimesheet(timesheet) {
+        const id = getTimesheetId(timesheet.username, timesheet.periodStart);
+        const before = await this.backend.get('timesheets', id);
+        await this.backend.put('timesheets', id, timesheet);
+        await this.appendAudit('timesheet', id, before ? 'update' : 'create', before, timesheet,
+            timesheet.status === 'submitted' ? timesheet.comment : (timesheet.reviewComment || ''));
+        return timesheet;
+    },
+    /**
+     * Retrieve all punch conflicts, each with its `id`. A conflict is an
+     * offline punch that could not be replayed, or a punch-in rejected
+     * because the employee was already punched in: { username, action, at,
+     * deviceId, reason, detectedAt, status } where status is "open" or
+     * "resolved"; resolved conflicts also carry resolvedBy, resolvedAt
+     * and a note.
+     */
+    async getPunchConflicts() {
+        return (await this.backend.list('conflicts')).map(doc => Object.assign({ id: doc.id }, doc.data));
+    },
+    /**
+     * Record a punch that could not be applied, and why. `item` is a
+     * queued punch or has the same fields.
+     */
+    async addPunchConflict(item, reason) {
+        const conflict = {
+            username: item.username,
+            action: item.action,
+            at: item.at,
+            deviceId: item.deviceId,
+            reason,
+            detectedAt: new Date().toISOString(),
+            status: 'open'
+        };
+        const id = await this.backend.add('conflicts', conflict);
+        await this.appendAudit('conflict', id, 'create', null, conflict, reason);
+        return Object.assign({ id }, conflict);
+    },
+    /**
+     * Mark a punch conflict as resolved by the current actor.
+     */
+    async resolvePunchConflict(conflictId, note = '') {
+        const before = await this.backend.get('conflicts', conflictId);
+        if (!before) return;
+        const after = Object.assign({}, before, {
+            status: 'resolved',
+            resolvedBy: this.actor || 'system',
+            resolvedAt: new Date().toISOString(),
+            note
+        });
+        await this.backend.put('conflicts', conflictId, after);
+        await this.appendAudit('conflict', conflictId, 'update', before, after, note);
+    },
+    /**
+     * Throw if any of the given pay periods is approved. Called by every
+     * log mutation so that locked payroll data cannot change.
+     */
+    async assertPeriodsUnlocked(...periodStarts) {
+        const states = await this.getPeriodStates();
+        const locked = periodStarts.find(start => start && states[start] && states[start].status === 'approved');
+        if (locked) {
+            throw new Error(`Pay period ${locked} is approved and locked. Reopen it before making changes.`);
+        }
+    },
+    /**
+     * Append an event to the audit trail. Events record who made the
+     * change (`Storage.actor`, or "system" when nobody is signed in),
+     * when, which entity was affected and snapshots of the entity before
+     * and after the change (null when it did not exist). The trail is
+     * append-only: there is deliberately no method to edit or remove
+     * events.
+     */
+    async appendAudit(entity, entityId, action, before, after, reason = '') {
+        return this.appendAuditTo(this.backend, entity, entityId, action, before, after, reason);
+    },
+    /**
+     * A view of the storage layer that records `actor` in the audit trail
+     * instead of Storage.actor, for changes made on nobody's request,
+     * e.g. `Storage.as('system')`. Storage.actor itself is left alone.
+     */
+    as(actor) {
+        return Object.create(this, { actor: { value: actor } });
+    },
+    /**
+     * Append an audit event (see appendAudit) to the trail of another
+     * backend, e.g. the target of copyTo.
+     */
+    async appendAuditTo(backend, entity, entityId, action, before, after, reason = '') {
+        const event = {
+            at: new Date().toISOString(),
+            actor: this.actor || 'system',
+            entity,
+            entityId: String(entityId),
+            action,
+            before: auditSnapshot(before),
+            after: auditSnapshot(after),
+            reason
+        };
+        await backend.add('audit', event);
+        return event;
+    },
+    /**
+     * Retrieve all audit events, oldest first.
+     */
+    async getAuditEvents() {
+        const events = (await this.backend.list('audit')).map(doc => Object.assign({ id: doc.id }, doc.data));
+        events.sort((a, b) => a.at.localeCompare(b.at));
+        return events;
+    },
+    /**
+     * Call `onChange` whenever any of the given collections changes
+     * elsewhere (another device, or another tab in localStorage mode).
+     * Returns a function that stops watching.
+     */
+    watch(collections, onChange) {
+        const stops = collections.map(collection => this.backend.watch(collection, onChange));
+        return () => stops.forEach(stop => stop());
+    },
+    /**
+     * Record a document restored or copied by importIntoBackend in the
+     * audit trail of the backend it was written to.
+     */
+    async auditImportChange(backend, { collection, id, before, after }, reason) {
+        const action = !before ? 'create' : (!after ? 'delete' : 'update');
+        let entity = BACKUP_AUDIT_ENTITIES[collection];
+        let entityId = id;
+        if (collection === 'settings') {
+            entity = id === 'paySettings' ? 'paySettings' : 'exportProfile';
+            entityId = id === 'paySettings' ? id : '*';
+        } else if (collection === 'accounts') {
+            entityId = (after || before).username;
+        }
+        await this.appendAuditTo(backend, entity, entityId, action, before, after, reason);
+    },
+    /**
+     * Export all data as a backup bundle (see exportBackend).
+     */
+    async exportData() {
+        return exportBackend(this.backend);
+    },
+    /**
+     * Validate a backup bundle and restore it into the current backend,
+     * merging with or replacing the existing data. Throws with every
+     * validation problem if the bundle is invalid, or if it would change
+     * an approved pay period. Every document created, changed or removed
+     * is audited. Returns the number of documents restored per
+     * collection.
+     */
+    async importData(bundle, mode = 'merge') {
+        const errors = validateBackup(bundle, mode);
+        if (errors.length) throw new Error(errors.join('\n'));
+        const reason = `Restored from a backup of ${bundle.exportedAt}`;
+        const counts = await importIntoBackend(this.backend, bundle, mode, change => this.auditImportChange(this.backend, change, reason));
+        await this.appendAudit('backup', bundle.exportedAt, 'import', null, counts,
+            `${mode === 'replace' ? 'Replaced' : 'Merged'} with a backup from the ${bundle.backend} backend`);
+        return counts;
+    },
+    /**
+     * Copy all data from the current backend into the backend described
+     * by `config` (as in createBackend), merging with or replacing what
+     * is already there, under the same pay period locks as importData
+     * and audited in the target's trail. The app keeps using the current
+     * backend until config.js is changed. Returns the number of documents
+     * copied per collection.
+     */
+    async copyTo(config, mode = 'merge') {
+        const target = createBackend(config);
+        if (target.name === this.backend.name) {
+            throw new Error(`Data is already stored in the ${target.name} backend.`);
         }
+        await target.init();
+        const bundle = await this.exportData();
+        const reason = `Copied from the ${this.backend.name} backend`;
+        const counts = await importIntoBackend(target, bundle, mode, change => this.auditImportChange(target, change, reason));
+        await this.appendAudit('backup', target.name, 'copy', null, counts,
+            `${mode === 'replace' ? 'Replaced' : 'Merged into'} the ${target.name} backend`);
+        return counts;
     }
 };
 
 
-// Time helper: convert HH:MM string to minutes after midnight
-function timeToMinutes(timeStr) {
-    const [h, m] = timeStr.split(':').map(Number);
-    return h * 60 + m;
+// Pay period workflow: each period moves open → submitted → approved.
+// A submitted period can be returned to open, and an approved (locked)
+// period can only change by explicitly reopening it.
+const PERIOD_TRANSITIONS = {
+    open: ['submitted'],
+    submitted: ['approved', 'open'],
+    approved: ['open']
+};
+
+// Key identifying an employee's timesheet for a pay period (also the
+// Firestore document ID)
+function getTimesheetId(username, periodStart) {
+    return `${username}_${periodStart}`;
 }
-// Convert minutes to HH:MM string (zero padded)
-function minutesToTime(mins) {
-    const h = Math.floor(mins / 60);
-    const m = mins % 60;
-    return String(h).padStart(2, '0') + ':' + String(m).padStart(2, '0');
+
+// Prepare an entity for storage in an audit event: make a plain JSON
+// copy (Firestore rejects undefined values) and redact password material.
+function auditSnapshot(value) {
+    if (value === null || value === undefined) return null;
+    const copy = JSON.parse(JSON.stringify(value));
+    const redact = obj => {
+        ['password', 'passwordHash', 'salt', 'pinHash', 'pinSalt'].forEach(key => {
+            if (key in obj) obj[key] = '[redacted]';
+        });
+    };
+    if (Array.isArray(copy)) {
+        copy.forEach(item => item && typeof item === 'object' && redact(item));
+    } else if (typeof copy === 'object') {
+        redact(copy);
+    }
+    return copy;
+}
+
+/*
+ * Password hashing.
+ *
+ * Passwords are salted and hashed with PBKDF2 (SHA-256) through the
+ * WebCrypto API. An account stores `passwordHash`, `salt` and
+ * `iterations`; accounts created before hashing was introduced still
+ * carry a plaintext `password` field and are migrated on their next
+ * successful login.
+ */
+const PASSWORD_ITERATIONS = 100000;
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+// Generate a random hex string of the given byte length
+function randomHex(byteLength) {
+    return bytesToHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// Derive a hex PBKDF2 hash for a password with the given hex salt
+async function hashPassword(password, salt, iterations = PASSWORD_ITERATIONS) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: hexToBytes(salt), iterations, hash: 'SHA-256' },
+        keyMaterial,
+        256
+    );
+    return bytesToHex(new Uint8Array(bits));
+}
+
+// Return a copy of the account with its plaintext `password` replaced
+// by a freshly salted hash.
+async function hashAccountPassword(account) {
+    const { password, ...rest } = account;
+    const salt = randomHex(16);
+    const passwordHash = await hashPassword(password, salt);
+    return Object.assign(rest, { passwordHash, salt, iterations: PASSWORD_ITERATIONS });
+}
+
+// Check a password against an account. Handles both hashed accounts
+// and legacy accounts that still store a plaintext password.
+async function verifyPassword(account, password) {
+    if (account.passwordHash && account.salt) {
+        const hash = await hashPassword(password, account.salt, account.iterations || PASSWORD_ITERATIONS);
+        return hash === account.passwordHash;
+    }
+    return typeof account.password === 'string' && account.password === password;
+}
+
+/*
+ * Login sessions.
+ *
+ * A session is a random token stored in this browser's localStorage
+ * together with the username, role and an expiry time, so that a page
+ * reload restores the signed‑in user instead of returning to the login
+ * screen. Sessions are per device and are independent of the storage
+ * backend.
+ */
+const Session = {
+    key: 'session',
+    ttlMs: 8 * 60 * 60 * 1000,
+    /**
+     * Start a new session for the account and return it.
+     */
+    create(account) {
+        const session = {
+            token: randomHex(32),
+            username: account.username,
+            role: account.role,
+            expiresAt: Date.now() + this.ttlMs
+        };
+        localStorage.setItem(this.key, JSON.stringify(session));
+        return session;
+    },
+    /**
+     * Return the stored session, or null if there is none or it has
+     * expired. Expired sessions are removed.
+     */
+    get() {
+        const session = JSON.parse(localStorage.getItem(this.key) || 'null');
+        if (!session || !session.token) return null;
+        if (Date.now() >= session.expiresAt) {
+            this.clear();
+            return null;
+        }
+        return session;
+    },
+    /**
+     * End the current session.
+     */
+    clear() {
+        localStorage.removeItem(this.key);
+    }
+};
+
+/*
+ * Kiosk mode.
+ *
+ * A shared device, such as a tablet by the door, can be switched to
+ * kiosk mode, in which it only shows a numeric keypad. Employees punch
+ * in, or out when already punched in, by entering a personal PIN; nobody
+ * is signed in, and leaving kiosk mode takes a full administrator login.
+ * Like sessions, kiosk mode is remembered per device, together with the
+ * count of wrong PINs: after `maxFailures` in a row the keypad is locked
+ * for `lockoutMs`.
+ *
+ * A PIN is hashed like a password and stored as the account's `pinHash`,
+ * but with one organisation-wide salt (`paySettings.pinSalt`) instead of
+ * a salt per account, because the PIN alone must identify the employee.
+ * The kiosk keeps a copy of the PIN hashes and open punches in the
+ * offline cache, so that it can still identify employees and queue
+ * their punches while the backend cannot be reached.
+ */
+const Kiosk = {
+    key: 'kiosk',
+    resetMs: 5000,
+    maxFailures: 5,
+    lockoutMs: 30 * 1000,
+    state() {
+        return JSON.parse(localStorage.getItem(this.key) || 'null');
+    },
+    isEnabled() {
+        return this.state() !== null;
+    },
+    enable() {
+        localStorage.setItem(this.key, JSON.stringify({ failures: 0, lockedUntil: 0 }));
+    },
+    disable() {
+        localStorage.removeItem(this.key);
+    },
+    /**
+     * Milliseconds until the keypad unlocks, or 0 if it is not locked.
+     */
+    lockedFor() {
+        const state = this.state();
+        return state ? Math.max(0, state.lockedUntil - Date.now()) : 0;
+    },
+    /**
+     * Count a wrong PIN, locking the keypad after too many in a row.
+     */
+    recordFailure() {
+        const state = this.state();
+        state.failures += 1;
+        if (state.failures >= this.maxFailures) {
+            state.failures = 0;
+            state.lockedUntil = Date.now() + this.lockoutMs;
+        }
+        localStorage.setItem(this.key, JSON.stringify(state));
+    },
+    recordSuccess() {
+        localStorage.setItem(this.key, JSON.stringify({ failures: 0, lockedUntil: 0 }));
+    }
+};
+
+// Whether an account may sign in and punch (see Storage.setAccountActive)
+function isAccountActive(account) {
+    return account.active !== false;
+}
+
+// Usernames are 1 to 32 letters, digits, dots, dashes and underscores
+function isValidUsername(username) {
+    return /^[A-Za-z0-9._-]{1,32}$/.test(username);
+}
+
+// Kiosk PINs are 4 to 8 digits
+function isValidPin(pin) {
+    return /^\d{4,8}$/.test(pin);
+}
+
+// The organisation-wide PIN salt, created on first use
+async function getPinSalt() {
+    const settings = await Storage.getPaySettings();
+    if (settings.pinSalt) return settings.pinSalt;
+    const pinSalt = randomHex(16);
+    await Storage.setPaySettings(Object.assign({}, settings, { pinSalt }));
+    return pinSalt;
+}
+
+// Set an employee's kiosk PIN, or remove it when `pin` is empty. PINs
+// must be unique because they identify the employee. Throws if the PIN
+// is invalid or already taken.
+async function setEmployeePin(username, pin) {
+    const account = await Storage.getAccountByUsername(username);
+    if (!account) throw new Error(`Unknown employee '${username}'.`);
+    const { pinHash: oldHash, ...rest } = account;
+    if (!pin) {
+        await Storage.upsertAccount(rest);
+        return;
+    }
+    if (!isValidPin(pin)) throw new Error('A PIN must be 4 to 8 digits.');
+    const pinHash = await hashPassword(pin, await getPinSalt());
+    const accounts = await Storage.getAccounts();
+    if (accounts.some(acc => acc.pinHash === pinHash && acc.username !== username)) {
+        throw new Error('That PIN is already used by another employee.');
+    }
+    await Storage.upsertAccount(Object.assign(rest, { pinHash }));
+}
+
+// The employee with this PIN, looked up in the offline cache (see
+// OfflineCache), as { username, pinHash, active }, or null
+async function findAccountByPin(pin, cache) {
+    if (!cache.pinSalt || !isValidPin(pin)) return null;
+    const pinHash = await hashPassword(pin, cache.pinSalt);
+    return (cache.pins || []).find(entry => entry.pinHash === pinHash) || null;
+}
+
+// Punch the employee with this PIN in, or out if they are punched in,
+// and return a confirmation message. Throws if the keypad is locked, the
+// PIN is not recognised or the punch is rejected.
+async function kioskPunch(pin) {
+    const lockedFor = Kiosk.lockedFor();
+    if (lockedFor > 0) {
+        throw new Error(`Too many wrong PINs. Try again in ${Math.ceil(lockedFor / 1000)} seconds.`);
+    }
+    // Read the PINs and open punches afresh, or use the copies from when
+    // the backend could last be reached
+    if (!(await refreshOfflineCache()) && !OfflineCache.get().pins) {
+        throw new Error('This device is offline and has not loaded the employee PINs yet.');
+    }
+    const cache = OfflineCache.get();
+    const account = await findAccountByPin(pin, cache);
+    if (!account) {
+        Kiosk.recordFailure();
+        throw new Error('PIN not recognised.');
+    }
+    Kiosk.recordSuccess();
+    if (!account.active) throw new Error(`The account '${account.username}' is deactivated and cannot punch in.`);
+    // Punches are made by the employee, even though nobody is signed in
+    const storage = Storage.as(account.username);
+    const stored = (cache.currentPunch || {})[account.username] || null;
+    const punchedIn = !!applyQueuedPunches(stored, account.username);
+    const outcome = await recordPunch(account.username, punchedIn ? 'out' : 'in', storage);
+    if (!outcome.queued) {
+        // Keep the cached open punches in step for the next offline punch
+        const currentPunch = Object.assign({}, cache.currentPunch);
+        if (punchedIn) delete currentPunch[account.username];
+        else currentPunch[account.username] = outcome.result;
+        OfflineCache.set(Object.assign({}, OfflineCache.get(), { currentPunch }));
+    }
+    const greeting = punchedIn ? `Goodbye, ${account.username}.` : `Welcome, ${account.username}.`;
+    if (outcome.queued) {
+        const { time } = getZonedParts(new Date(outcome.item.at), getOrgTimeZone(cache));
+        return `${greeting} You punched ${punchedIn ? 'out' : 'in'} at ${time}. ` +
+            'This device is offline; the punch will be sent when the connection returns.';
+    }
+    if (punchedIn) {
+        return `${greeting} You punched out at ${outcome.result.punchOut} ` +
+            `after ${formatHours(outcome.result.minutesWorked)} hours.`;
+    }
+    return `${greeting} You punched in at ${outcome.result.punchIn}.`;
+}
+
+// Time helper: convert HH:MM string to minutes after midnight
+function timeToMinutes(timeStr) {
+    const [h, m] = timeStr.split(':').map(Number);
+    return h * 60 + m;
+}
+// Convert minutes to HH:MM string (zero padded)
+function minutesToTime(mins) {
+    const h = Math.floor(mins / 60);
+    const m = mins % 60;
+    return String(h).padStart(2, '0') + ':' + String(m).padStart(2, '0');
+}
+
+// Combine a YYYY-MM-DD date and an HH:MM time into a single
+// "YYYY-MM-DDTHH:MM" timestamp string.
+function toTimestamp(dateStr, timeStr) {
+    return `${dateStr}T${timeStr}`;
+}
+// Convert a "YYYY-MM-DDTHH:MM" timestamp into minutes since the epoch.
+// Without a time zone the timestamp is read as plain wall-clock time;
+// with one it is read as local time in that zone, so that durations
+// spanning a daylight saving change come out right.
+function timestampToMinutes(stamp, timeZone) {
+    const [datePart, timePart] = stamp.split('T');
+    const [y, m, d] = datePart.split('-').map(Number);
+    const wallClock = Date.UTC(y, m - 1, d) / 60000 + timeToMinutes(timePart);
+    if (!timeZone) return wallClock;
+    // The zone's offset depends on the instant, so look it up at a
+    // first guess and then again at the corrected instant.
+    const guess = wallClock - getTimeZoneOffset(wallClock * 60000, timeZone);
+    return wallClock - getTimeZoneOffset(guess * 60000, timeZone);
+}
+// Build a YYYY-MM-DD string from numeric year, month (1-12) and day
+function formatYmd(year, month, day) {
+    return year + '-' + String(month).padStart(2, '0') + '-' + String(day).padStart(2, '0');
+}
+
+/*
+ * Time zones.
+ *
+ * All dates and times the app records or displays – punch dates and
+ * times, pay period boundaries, report filters – are wall-clock values in
+ * the organisation's time zone (`paySettings.timeZone`, an IANA name such
+ * as "America/Chicago"), whatever the zone of the device in use.
+ * Instants such as audit and edit timestamps are stored as UTC ISO
+ * strings and converted for display. Date strings are manipulated with
+ * UTC arithmetic only, never through the device's local time.
+ */
+
+// The device's own time zone, used until the organisation sets one
+function getDeviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+// The organisation time zone from the pay settings
+function getOrgTimeZone(settings) {
+    return (settings && settings.timeZone) || getDeviceTimeZone();
+}
+// Whether a string is an IANA time zone name this browser understands
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+// Wall-clock date and time of an instant in a time zone, as
+// { date: 'YYYY-MM-DD', time: 'HH:MM' }
+function getZonedParts(dateObj, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+    const parts = {};
+    formatter.formatToParts(dateObj).forEach(part => { parts[part.type] = part.value; });
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+// Offset of a time zone from UTC, in minutes, at an instant (epoch ms)
+function getTimeZoneOffset(epochMs, timeZone) {
+    const { date, time } = getZonedParts(new Date(epochMs), timeZone);
+    return timestampToMinutes(toTimestamp(date, time)) - Math.floor(epochMs / 60000);
+}
+// Today's date in a time zone
+function getZonedToday(timeZone) {
+    return getZonedParts(new Date(), timeZone).date;
+}
+// Format an ISO instant for display in a time zone
+function formatInstant(isoString, timeZone) {
+    return new Date(isoString).toLocaleString(undefined, { timeZone });
+}
+
+// Full timestamps for a log entry. A shift belongs to the date it was
+// punched in on (`date`); `punchOutDate` records the day it ended, which
+// differs for overnight shifts. Entries written before punch-out dates
+// were stored are treated as same-day shifts.
+function getLogPunchInStamp(log) {
+    return toTimestamp(log.date, log.punchIn);
+}
+function getLogPunchOutStamp(log) {
+    return toTimestamp(log.punchOutDate ?? log.date, log.punchOut);
 }
 
-// Compute pay period start date given a Date object and an array of
-// start days. This helper does not perform any asynchronous
-// operations. If no startDays array is provided it falls back to the
-// default [1,15].
-function getPayPeriodStart(dateObj, startDaysParam) {
+// Compute the semi-monthly pay period start date for a YYYY-MM-DD date
+// and an array of start days. This helper does not perform any
+// asynchronous operations and works purely on the date string, so the
+// result does not depend on the device's time zone. If no startDays
+// array is provided it falls back to the default [1,15].
+function getPayPeriodStart(dateStr, startDaysParam) {
     const startDays = (startDaysParam ?? [1, 15]).slice().sort((a, b) => a - b);
-    const day = dateObj.getDate();
-    const month = dateObj.getMonth();
-    const year = dateObj.getFullYear();
+    const [year, month, day] = dateStr.split('-').map(Number);
+    // Day 0 of the following month is the last day of this one
+    const daysIn = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
     let chosenDay = null;
     for (let i = 0; i < startDays.length; i++) {
         if (day >= startDays[i]) {
@@ -331,32 +1558,87 @@ function getPayPeriodStart(dateObj, startDaysParam) {
     }
     if (chosenDay === null) {
         // use last start day of previous month
-        const prevMonth = (month - 1 + 12) % 12;
-        const prevYear = month === 0 ? year - 1 : year;
+        const prevMonth = month === 1 ? 12 : month - 1;
+        const prevYear = month === 1 ? year - 1 : year;
         const lastDay = startDays[startDays.length - 1];
-        const daysInPrevMonth = new Date(prevYear, prevMonth + 1, 0).getDate();
-        const startDate = new Date(prevYear, prevMonth, Math.min(lastDay, daysInPrevMonth));
-        return startDate.toISOString().slice(0, 10);
+        return formatYmd(prevYear, prevMonth, Math.min(lastDay, daysIn(prevYear, prevMonth)));
     } else {
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
-        const actualDay = Math.min(chosenDay, daysInMonth);
-        const startDate = new Date(year, month, actualDay);
-        return startDate.toISOString().slice(0, 10);
+        return formatYmd(year, month, Math.min(chosenDay, daysIn(year, month)));
+    }
+}
+
+// Add a number of days to a YYYY-MM-DD date string
+function addDays(dateStr, days) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+// Whole days from one YYYY-MM-DD date string to another
+function daysBetween(fromStr, toStr) {
+    const [fy, fm, fd] = fromStr.split('-').map(Number);
+    const [ty, tm, td] = toStr.split('-').map(Number);
+    return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+}
+
+/*
+ * Pay period schedules.
+ *
+ * `paySettings.periodType` selects how pay periods are laid out:
+ *  - "semimonthly" (the default): periods start on each of `startDays`
+ *    of the month, e.g. [1, 15];
+ *  - "weekly" / "biweekly": periods are 7 or 14 days long and one of
+ *    them starts on `anchorDate` (YYYY-MM-DD); the schedule extends
+ *    forwards and backwards from it.
+ * Every log stores the `payPeriodStart` and `payPeriodEnd` it was
+ * assigned when written, so changing the schedule only affects new
+ * shifts.
+ */
+const PERIOD_LENGTHS = { weekly: 7, biweekly: 14 };
+
+// Return the { start, end } (inclusive YYYY-MM-DD dates) of the pay
+// period containing a YYYY-MM-DD date under the given pay settings.
+function getPayPeriodForDate(dateStr, settings = {}) {
+    const length = PERIOD_LENGTHS[settings.periodType];
+    if (length && settings.anchorDate) {
+        const offset = daysBetween(settings.anchorDate, dateStr);
+        const start = addDays(settings.anchorDate, offset - (((offset % length) + length) % length));
+        return { start, end: addDays(start, length - 1) };
+    }
+    const start = getPayPeriodStart(dateStr, settings.startDays);
+    return { start, end: getSemiMonthlyPeriodEnd(start, settings.startDays) };
+}
+
+// Last day of the semi-monthly period starting on `start`: the day
+// before the next period begins.
+function getSemiMonthlyPeriodEnd(start, startDays) {
+    for (let i = 1; i <= 31; i++) {
+        const day = addDays(start, i);
+        if (getPayPeriodStart(day, startDays) !== start) {
+            return addDays(day, -1);
+        }
     }
+    return addDays(start, 30);
+}
+
+// End date of a log's pay period. Logs written before period end dates
+// were stored were all on the semi-monthly schedule.
+function getLogPayPeriodEnd(log, settings = {}) {
+    return log.payPeriodEnd ?? getSemiMonthlyPeriodEnd(log.payPeriodStart, settings.startDays);
 }
 
-// Compute worked minutes between an actual punch‑in and punch‑out time.
-// Both arguments should be strings in "HH:MM" format. If a deduction
-// value (in minutes) is provided, it will be subtracted from the
-// total. The result will never be negative.
-function computeWorkedMinutes(actualIn, actualOut, deduction = 0) {
-    const ai = timeToMinutes(actualIn);
-    const ao = timeToMinutes(actualOut);
+// Compute worked minutes between an actual punch‑in and punch‑out.
+// Both arguments should be "YYYY-MM-DDTHH:MM" timestamps, so a shift
+// that starts one day and ends the next records its real duration.
+// Passing the organisation time zone accounts for daylight saving
+// changes during the shift. If a deduction value (in minutes) is
+// provided, it will be subtracted from the total. The result will
+// never be negative.
+function computeWorkedMinutes(actualIn, actualOut, deduction = 0, timeZone) {
+    const ai = timestampToMinutes(actualIn, timeZone);
+    const ao = timestampToMinutes(actualOut, timeZone);
     let minutes = ao - ai;
     if (minutes < 0) {
-        // If the shift crosses midnight we simply treat it as zero. A
-        // more robust implementation could add 24*60 minutes but that
-        // behaviour is not needed for this demo.
+        // A punch-out before the punch-in is invalid data; never record
+        // negative time.
         minutes = 0;
     }
     minutes -= deduction;
@@ -364,173 +1646,922 @@ function computeWorkedMinutes(actualIn, actualOut, deduction = 0) {
     return minutes;
 }
 
-// Format minutes into hours with two decimal places
-function formatHours(mins) {
-    return (mins / 60).toFixed(2);
+// Date and time of a punch made at `now` in the organisation time
+// zone, as { date, time } strings (YYYY-MM-DD and HH:MM).
+function getPunchTimestamp(now, timeZone) {
+    return getZonedParts(now, timeZone);
 }
 
-// Update UI helper functions
-function show(element) { element.classList.remove('hidden'); }
-function hide(element) { element.classList.add('hidden'); }
+/*
+ * Punch rounding.
+ *
+ * `paySettings.roundingPolicy` rounds punches before the time worked is
+ * calculated: { increment: 15, direction: 'nearest', applyTo: 'both' }
+ * where `increment` is in minutes and divides an hour, `direction` is
+ * "nearest", "up" or "down" and `applyTo` is "in", "out" or "both". An
+ * increment of 0, or no policy, leaves punches as they are. Logs keep
+ * the actual `punchIn` and `punchOut` and store the paid times as
+ * `roundedIn` and `roundedOut` timestamps, so every adjustment can be
+ * checked. Breaks are never rounded.
+ */
+const ROUNDING_DIRECTIONS = {
+    nearest: Math.round,
+    up: Math.ceil,
+    down: Math.floor
+};
 
-// Populate employees table in admin view
-function refreshEmployeeTable() {
-    const tbody = document.querySelector('#employees-table tbody');
-    tbody.innerHTML = '';
-    // Fetch accounts asynchronously and then render the table
-    (async () => {
-        const accounts = await Storage.getAccounts();
-        accounts.forEach(acc => {
-            if (acc.role === 'employee') {
-                const tr = document.createElement('tr');
-                tr.innerHTML = `
-                    <td>${acc.username}</td>
-                    <td>${acc.hourlyRate ?? ''}</td>
-                    <td>
-                        <button class="delete-btn" data-username="${acc.username}">Delete</button>
-                    </td>
-                `;
-                tbody.appendChild(tr);
-            }
-        });
-        // attach delete handlers
-        tbody.querySelectorAll('.delete-btn').forEach(btn => {
-            btn.addEventListener('click', async function() {
-                const username = this.dataset.username;
-                if (username && confirm(`Delete employee '${username}'? This will remove all their logs.`)) {
-                    await Storage.deleteAccount(username);
-                    refreshEmployeeTable();
-                    refreshLogsTable();
-                }
-            });
-        });
-    })();
+// Round a "YYYY-MM-DDTHH:MM" timestamp to a multiple of `increment`
+// minutes past the hour. Rounding past midnight moves to the next day.
+function roundTimestamp(stamp, increment, direction = 'nearest') {
+    if (!increment) return stamp;
+    const round = ROUNDING_DIRECTIONS[direction] || Math.round;
+    const [date, time] = stamp.split('T');
+    const minutes = round(timeToMinutes(time) / increment) * increment;
+    return toTimestamp(addDays(date, Math.floor(minutes / 1440)), minutesToTime(minutes % 1440));
 }
 
-// Populate logs table (admin view)
-async function refreshLogsTable() {
-    const tbody = document.querySelector('#logs-table tbody');
+// The paid punch-in and punch-out timestamps of a shift under a
+// rounding policy, as { roundedIn, roundedOut }
+function roundShiftPunches(punchInStamp, punchOutStamp, policy) {
+    const increment = (policy && policy.increment) || 0;
+    const applyTo = (policy && policy.applyTo) || 'both';
+    return {
+        roundedIn: applyTo === 'out' ? punchInStamp : roundTimestamp(punchInStamp, increment, policy && policy.direction),
+        roundedOut: applyTo === 'in' ? punchOutStamp : roundTimestamp(punchOutStamp, increment, policy && policy.direction)
+    };
+}
+
+// Describe a rounded punch of a log for display: the time, with its
+// date when rounding moved it to another day than `date`. Logs written
+// before rounding was introduced have none.
+function formatRoundedPunch(stamp, date) {
+    if (!stamp) return '';
+    return stamp.startsWith(date) ? stamp.slice(11) : stamp.replace('T', ' ');
+}
+
+/*
+ * Breaks.
+ *
+ * While punched in, an employee's current punch record carries a
+ * `breaks` array of { start, end } timestamps ("YYYY-MM-DDTHH:MM"); the
+ * last break has no `end` while the employee is on it. The intervals are
+ * copied onto the log at punch-out and deducted from the time worked.
+ * `paySettings.breakPolicy` can additionally require an unpaid meal:
+ * { autoMeal: true, afterHours: 6, mealMinutes: 30 } deducts whatever
+ * part of a 30 minute meal was not taken as breaks on shifts longer than
+ * 6 hours.
+ */
+
+// Sum the minutes of closed break intervals
+function computeBreakMinutes(breaks = [], timeZone) {
+    return breaks.reduce((total, b) => (
+        b.end ? total + Math.max(0, timestampToMinutes(b.end, timeZone) - timestampToMinutes(b.start, timeZone)) : total
+    ), 0);
+}
+
+// Unpaid meal minutes the break policy adds to a shift of the given
+// length (in minutes) on which `breakMinutes` of breaks were taken.
+function computeAutoMealMinutes(shiftMinutes, breakMinutes, policy) {
+    if (!policy || !policy.autoMeal) return 0;
+    if (shiftMinutes <= policy.afterHours * 60) return 0;
+    return Math.max(0, policy.mealMinutes - breakMinutes);
+}
+
+// Compute the paid minutes of a shift from its punches, break intervals,
+// the manual deduction entered by an administrator and the break
+// policy, in the organisation time zone. Returns { minutesWorked,
+// breakMinutes, autoDeduction }.
+function computeShiftMinutes(punchInStamp, punchOutStamp, breaks, deduction, policy, timeZone) {
+    const shiftMinutes = computeWorkedMinutes(punchInStamp, punchOutStamp, 0, timeZone);
+    const breakMinutes = computeBreakMinutes(breaks, timeZone);
+    const autoDeduction = computeAutoMealMinutes(shiftMinutes, breakMinutes, policy);
+    const minutesWorked = computeWorkedMinutes(
+        punchInStamp, punchOutStamp, breakMinutes + autoDeduction + (deduction || 0), timeZone
+    );
+    return { minutesWorked, breakMinutes, autoDeduction };
+}
+
+// The break in progress on a current punch record, if any
+function getOpenBreak(record) {
+    const breaks = record.breaks || [];
+    const last = breaks[breaks.length - 1];
+    return last && !last.end ? last : null;
+}
+
+// Describe the breaks on a log, e.g. "12:00–12:30, meal 30m (auto)"
+function formatBreaks(log) {
+    const parts = (log.breaks || []).map(b => `${b.start.slice(11)}–${b.end ? b.end.slice(11) : '…'}`);
+    if (log.autoDeduction) parts.push(`meal ${log.autoDeduction}m (auto)`);
+    return parts.join(', ');
+}
+
+/*
+ * Punching.
+ *
+ * These record an employee's punches at the given time (by default now)
+ * in the organisation time zone. They are shared by the employee
+ * dashboard, the kiosk and the offline punch queue so that a shift is
+ * recorded the same way whichever way it was punched.
+ */
+
+// Employees cannot continue or end a shift flagged as a forgotten
+// punch-out; an administrator closes it at the actual end time.
+function assertPunchNotFlagged(record) {
+    if (record && record.flaggedAt) {
+        throw new Error('This shift was flagged as a forgotten punch-out. Ask an administrator to close it.');
+    }
+}
+
+// Start a shift for the user. Returns the new current punch record.
+// A user already punched in, e.g. on another device, is rejected with
+// an error marked `punchConflict` so that the open shift is kept. Like
+// every punch action, it records the change through `storage`, which
+// may be a Storage.as() view for the employee punching.
+async function punchIn(username, now = new Date(), { storage = Storage } = {}) {
+    const account = await storage.getAccountByUsername(username);
+    if (account && !isAccountActive(account)) {
+        throw new Error(`The account '${username}' is deactivated and cannot punch in.`);
+    }
+    const open = (await storage.getCurrentPunch())[username];
+    if (open) {
+        const error = new Error(`Already punched in since ${open.date} ${open.punchIn}, probably on another device.`);
+        error.punchConflict = true;
+        throw error;
+    }
+    const settings = await storage.getPaySettings();
+    const { date, time } = getPunchTimestamp(now, getOrgTimeZone(settings));
+    const record = { date, punchIn: time, breaks: [] };
+    await storage.setCurrentPunch(username, record);
+    return record;
+}
+
+// Start a break on the user's open shift. Returns the updated record.
+async function startBreak(username, now = new Date(), { storage = Storage } = {}) {
+    const settings = await storage.getPaySettings();
+    const { date, time } = getPunchTimestamp(now, getOrgTimeZone(settings));
+    const record = (await storage.getCurrentPunch())[username];
+    if (!record) throw new Error('No punch in record found.');
+    assertPunchNotFlagged(record);
+    record.breaks = (record.breaks || []).concat({ start: toTimestamp(date, time) });
+    await storage.setCurrentPunch(username, record);
+    return record;
+}
+
+// End the break in progress. Returns the updated record.
+async function endBreak(username, now = new Date(), { storage = Storage } = {}) {
+    const settings = await storage.getPaySettings();
+    const { date, time } = getPunchTimestamp(now, getOrgTimeZone(settings));
+    const record = (await storage.getCurrentPunch())[username];
+    assertPunchNotFlagged(record);
+    const openBreak = record && getOpenBreak(record);
+    if (!openBreak) throw new Error('No break in progress.');
+    openBreak.end = toTimestamp(date, time);
+    await storage.setCurrentPunch(username, record);
+    return record;
+}
+
+// End the user's shift and record it as a log entry, ending any break
+// still in progress. A shift that falls into an approved pay period is
+// rejected and the punch stays open until an administrator reopens the
+// period. `fields` are added to the log, such as the `edits` of an
+// administrator ending the shift on the employee's behalf; only such a
+// punch-out may close a flagged forgotten punch-out. `storage`
+// may be a Storage.as() view to record the change for another actor.
+// With `expected`, only that open punch is closed, and its log gets an
+// id derived from the punch so that closing it on two devices at once
+// records the shift only once. Returns the created log.
+async function punchOut(username, now = new Date(), fields = {}, { storage = Storage, expected = null } = {}) {
+    // Retrieve pay settings to determine the time zone, the pay period
+    // start and the break policy
+    let settings;
+    try {
+        settings = await storage.getPaySettings();
+    } catch (e) {
+        settings = { startDays: [1, 15] };
+    }
+    const timeZone = getOrgTimeZone(settings);
+    const { date: today, time: timeOutStr } = getPunchTimestamp(now, timeZone);
+    const punchRecord = (await storage.getCurrentPunch())[username];
+    if (!punchRecord) throw new Error('No punch in record found.');
+    if (!fields.edits) assertPunchNotFlagged(punchRecord);
+    if (expected && (punchRecord.date !== expected.date || punchRecord.punchIn !== expected.punchIn)) {
+        throw new Error('The open punch has changed meanwhile.');
+    }
+    const punchOutStamp = toTimestamp(today, timeOutStr);
+    // A break still in progress ends with the shift
+    const breaks = (punchRecord.breaks || []).map(b => (b.end ? b : Object.assign({}, b, { end: punchOutStamp })));
+    // Determine minutes worked from the rounded punch times less breaks.
+    // Full timestamps are used so overnight shifts are counted.
+    const { roundedIn, roundedOut } = roundShiftPunches(
+        toTimestamp(punchRecord.date, punchRecord.punchIn), punchOutStamp, settings.roundingPolicy
+    );
+    const { minutesWorked, breakMinutes, autoDeduction } = computeShiftMinutes(
+        roundedIn, roundedOut, breaks, 0, settings.breakPolicy, timeZone
+    );
+    // Hours belong to the pay period of the punch-in date
+    const period = getPayPeriodForDate(punchRecord.date, settings);
+    let log;
+    try {
+        const logId = expected
+            ? `closed_${encodeURIComponent(username)}_${punchRecord.date}_${punchRecord.punchIn.replace(':', '')}`
+            : null;
+        log = await storage.addLog({
+            username,
+            date: punchRecord.date,
+            punchIn: punchRecord.punchIn,
+            punchOutDate: today,
+            punchOut: timeOutStr,
+            roundedIn,
+            roundedOut,
+            breaks,
+            breakMinutes,
+            autoDeduction,
+            minutesWorked,
+            payPeriodStart: period.start,
+            payPeriodEnd: period.end,
+            ...fields
+        }, logId);
+    } catch (e) {
+        throw new Error(fields.edits ? e.message : `${e.message} Please ask an administrator to record this shift.`);
+    }
+    await storage.setCurrentPunch(username, null);
+    return log;
+}
+
+/*
+ * Currently on the clock.
+ *
+ * The admin dashboard lists every employee who is punched in, with the
+ * time elapsed since their punch-in, and updates it live as punches
+ * happen on other devices (see Storage.watch).
+ */
+
+// Populate the "Currently on the clock" panel (admin view). Punches
+// flagged as forgotten punch-outs are closed at a time the
+// administrator enters; any other can be ended now.
+async function refreshOnTheClock() {
+    const tbody = document.querySelector('#on-clock-table tbody');
+    const emptyEl = document.getElementById('on-clock-empty');
+    const currentPunch = await Storage.getCurrentPunch();
+    const timeZone = getOrgTimeZone(await Storage.getPaySettings());
+    const nowMinutes = Math.floor(Date.now() / 60000);
     tbody.innerHTML = '';
-    const logs = await Storage.getLogs();
-    logs.forEach((log, index) => {
-        // Determine the unique identifier for this log for update operations
-        const rowId = Storage.useFirestore ? log.id : index;
-        const deduction = log.deduction ?? 0;
+    const usernames = Object.keys(currentPunch).sort();
+    usernames.forEach(username => {
+        const record = currentPunch[username];
+        const elapsed = Math.max(0, nowMinutes - timestampToMinutes(toTimestamp(record.date, record.punchIn), timeZone));
+        const openBreak = getOpenBreak(record);
         const tr = document.createElement('tr');
+        if (record.flaggedAt) tr.classList.add('flagged');
         tr.innerHTML = `
-            <td>${log.username}</td>
-            <td>${log.date}</td>
-            <td>${log.punchIn}</td>
-            <td>${log.punchOut}</td>
-            <td>${formatHours(log.minutesWorked)}</td>
-            <td>${log.payPeriodStart}</td>
-            <td><input type="number" class="deduct-input" data-id="${rowId}" value="${deduction}" min="0" style="width:80px"></td>
-            <td><button class="save-deduct-btn" data-id="${rowId}">Save</button></td>
+            <td>${escapeHtml(username)}</td>
+            <td>${record.date} ${record.punchIn}</td>
+            <td>${minutesToTime(elapsed)}</td>
+            <td>${openBreak ? `since ${openBreak.start.slice(11)}` : ''}</td>
+            <td>${record.flaggedAt ? `Forgotten punch-out? ${escapeHtml(record.flagReason || '')}` : ''}</td>
+            <td>
+                <button class="force-punch-out-btn" data-username="${escapeHtml(username)}">
+                    ${record.flaggedAt ? 'Close Shift' : 'Force Punch Out'}
+                </button>
+            </td>
         `;
         tbody.appendChild(tr);
     });
-    // attach save handlers
-    tbody.querySelectorAll('.save-deduct-btn').forEach(btn => {
+    emptyEl.textContent = usernames.length ? '' : 'Nobody is on the clock.';
+    tbody.querySelectorAll('.force-punch-out-btn').forEach(btn => {
         btn.addEventListener('click', async function() {
-            const id = this.dataset.id;
-            const input = tbody.querySelector(`input.deduct-input[data-id="${id}"]`);
-            const value = parseInt(input.value);
-            const deduction = isNaN(value) || value < 0 ? 0 : value;
-            // Find corresponding log to compute new minutes
-            const logsAll = logs; // closure variable from above
-            // Determine index for localStorage or find by id for Firestore
-            let logIndex;
-            let logRecord;
-            if (Storage.useFirestore) {
-                logRecord = logsAll.find(l => l.id === id);
-            } else {
-                logIndex = parseInt(id);
-                logRecord = logsAll[logIndex];
+            const username = this.dataset.username;
+            const record = currentPunch[username];
+            let end = new Date();
+            if (record.flaggedAt) {
+                const input = prompt(`When did '${username}' stop working? (YYYY-MM-DD HH:MM)`, '');
+                if (input === null) return;
+                const stamp = input.trim().replace(' ', 'T');
+                if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(stamp)) {
+                    alert('Please enter the end of the shift as YYYY-MM-DD HH:MM.');
+                    return;
+                }
+                const endMinutes = timestampToMinutes(stamp, timeZone);
+                if (endMinutes <= timestampToMinutes(toTimestamp(record.date, record.punchIn), timeZone) || endMinutes > nowMinutes) {
+                    alert('The end of the shift must be after the punch-in and not in the future.');
+                    return;
+                }
+                end = new Date(endMinutes * 60000);
             }
-            if (!logRecord) return;
-            const minutes = computeWorkedMinutes(logRecord.punchIn, logRecord.punchOut, deduction);
-            // Update minutesWorked and deduction
-            if (Storage.useFirestore) {
-                await Storage.updateLog(id, { minutesWorked: minutes, deduction });
-            } else {
-                await Storage.updateLog(logIndex, { minutesWorked: minutes, deduction });
+            const reason = prompt(`Reason for punching out '${username}':`, '');
+            if (reason === null) return;
+            if (!reason.trim()) {
+                alert('A reason is required to force a punch-out.');
+                return;
+            }
+            const edit = { by: Storage.actor, at: new Date().toISOString(), reason: reason.trim() };
+            try {
+                await punchOut(username, end, { edits: [edit] });
+            } catch (e) {
+                alert(e.message);
+                return;
             }
-            // Refresh tables and summary after update
+            refreshOnTheClock();
             refreshLogsTable();
-            refreshSummaryTable();
+            refreshAuditTable();
         });
     });
 }
 
-// Generate summary for admin view
-async function generateSummary() {
-    const logs = await Storage.getLogs();
-    const accounts = await Storage.getAccounts();
-    // Build a map payPeriodStart -> employee -> totalMinutes
-    const summaryMap = {};
-    logs.forEach(log => {
-        if (!summaryMap[log.payPeriodStart]) summaryMap[log.payPeriodStart] = {};
-        const empMap = summaryMap[log.payPeriodStart];
-        if (!empMap[log.username]) empMap[log.username] = 0;
-        empMap[log.username] += log.minutesWorked;
-    });
-    // Create rows
-    const summaryRows = [];
-    Object.keys(summaryMap).sort().forEach(period => {
-        const empMap = summaryMap[period];
-        Object.keys(empMap).forEach(user => {
-            const totalMins = empMap[user];
-            const account = accounts.find(a => a.username === user);
-            const rate = account?.hourlyRate || 0;
-            const totalPay = (totalMins / 60 * rate).toFixed(2);
-            summaryRows.push({ period, user, totalHours: formatHours(totalMins), totalPay });
-        });
-    });
-    return summaryRows;
+/*
+ * Forgotten punch-outs.
+ *
+ * A punch left open for longer than `paySettings.stalePunchPolicy.
+ * maxShiftHours` is taken to be a forgotten punch-out. The policy's
+ * `action` decides what happens to it: "maxLength" closes the shift at
+ * that maximum length, "scheduledEnd" closes it at the end of the
+ * employee's rostered shift and "review" (the default) flags the punch
+ * for an administrator, who closes it from the "Currently on the clock"
+ * panel. Punches that cannot be closed automatically, such as those
+ * without a rostered shift that day, are flagged too. Shifts closed
+ * automatically are marked `generatedBy: 'system'`.
+ */
+const DEFAULT_STALE_PUNCH_POLICY = { action: 'review', maxShiftHours: 16 };
+
+// Close or flag every forgotten punch-out according to the policy, as
+// the system user. Every device runs this when the app opens, so each
+// punch is checked again just before it is handled, and a shift closed
+// by two devices at once is recorded once (see punchOut). Returns
+// { closed, flagged } counts.
+async function handleStalePunches(now = new Date()) {
+    const settings = await Storage.getPaySettings();
+    const policy = Object.assign({}, DEFAULT_STALE_PUNCH_POLICY, settings.stalePunchPolicy);
+    const timeZone = getOrgTimeZone(settings);
+    const nowMinutes = Math.floor(now.getTime() / 60000);
+    const currentPunch = await Storage.getCurrentPunch();
+    const schedules = await Storage.getSchedules();
+    const result = { closed: 0, flagged: 0 };
+    const system = Storage.as('system');
+    // Whether the punch is still open and unflagged, i.e. not handled by
+    // another device or an administrator meanwhile
+    const stillOpen = async (username, record) => {
+        const latest = (await Storage.getCurrentPunch())[username];
+        return !!latest && !latest.flaggedAt && latest.date === record.date && latest.punchIn === record.punchIn;
+    };
+    for (const username of Object.keys(currentPunch)) {
+        const record = currentPunch[username];
+        const startMinutes = timestampToMinutes(toTimestamp(record.date, record.punchIn), timeZone);
+        if (record.flaggedAt || nowMinutes - startMinutes <= policy.maxShiftHours * 60) continue;
+        let closeAt = null;
+        let reason = '';
+        if (policy.action === 'maxLength') {
+            closeAt = startMinutes + policy.maxShiftHours * 60;
+            reason = `No punch-out after ${policy.maxShiftHours} hours; closed at the maximum shift length.`;
+        } else if (policy.action === 'scheduledEnd') {
+            const shift = getScheduledShift(schedules[username], record.date);
+            const endMinutes = shift && timestampToMinutes(shift.end, timeZone);
+            if (endMinutes > startMinutes) {
+                closeAt = endMinutes;
+                reason = 'No punch-out; closed at the end of the scheduled shift.';
+            }
+        }
+        if (!(await stillOpen(username, record))) continue;
+        let flagReason = policy.action === 'review' ? '' : 'No scheduled shift to close it at.';
+        if (closeAt !== null) {
+            const edit = { by: 'system', at: now.toISOString(), reason };
+            try {
+                await punchOut(username, new Date(closeAt * 60000), { edits: [edit], generatedBy: 'system' },
+                    { storage: system, expected: record });
+                result.closed++;
+                continue;
+            } catch (e) {
+                if (!(await stillOpen(username, record))) continue;
+                flagReason = e.message;
+            }
+        }
+        await system.setCurrentPunch(username, Object.assign({}, record, {
+            flaggedAt: now.toISOString(),
+            flagReason
+        }));
+        result.flagged++;
+    }
+    return result;
 }
 
-// Populate summary table and show export button
-async function refreshSummaryTable() {
-    const tbody = document.querySelector('#summary-table tbody');
-    tbody.innerHTML = '';
-    const rows = await generateSummary();
-    rows.forEach(row => {
+/*
+ * Offline punch queue.
+ *
+ * A punch made while the device is offline, or while the backend cannot
+ * be reached, is kept in a queue in this device's localStorage with the
+ * device's timestamp and replayed against the storage backend once the
+ * connection returns. Before replaying, each punch is checked against
+ * the shared data; one that no longer fits, for example because the
+ * employee punched in on another device meanwhile, is not applied but
+ * recorded as a punch conflict for an administrator to resolve. Later
+ * queued punches of the same employee are then held back as conflicts
+ * too, since they depend on it.
+ */
+const PunchQueue = {
+    key: 'punchQueue',
+    retryMs: 60 * 1000,
+    replaying: false,
+    items() {
+        return JSON.parse(localStorage.getItem(this.key) || '[]');
+    },
+    /**
+     * Queue a punch action made at the Date `at` and return the item.
+     */
+    add(username, action, at) {
+        const item = { id: randomHex(8), username, action, at: at.toISOString(), deviceId: this.deviceId() };
+        localStorage.setItem(this.key, JSON.stringify(this.items().concat(item)));
+        return item;
+    },
+    remove(id) {
+        localStorage.setItem(this.key, JSON.stringify(this.items().filter(item => item.id !== id)));
+    },
+    /**
+     * A random ID naming this device in conflicts, created on first use.
+     */
+    deviceId() {
+        let id = localStorage.getItem('deviceId');
+        if (!id) {
+            id = randomHex(4);
+            localStorage.setItem('deviceId', id);
+        }
+        return id;
+    }
+};
+
+// What a device needs to show and queue punches while the backend
+// cannot be reached, as last read from it: { timeZone } and, on a
+// kiosk, { pinSalt, pins: [{ username, pinHash, active }], currentPunch }
+// for the employees with a PIN. Kept in this device's localStorage.
+const OfflineCache = {
+    key: 'offlineCache',
+    get() {
+        return JSON.parse(localStorage.getItem(this.key) || 'null') || {};
+    },
+    set(cache) {
+        localStorage.setItem(this.key, JSON.stringify(cache));
+    }
+};
+
+// Refresh the offline cache from the backend. Returns false, keeping the
+// cache as it was, if the backend cannot be reached.
+async function refreshOfflineCache() {
+    try {
+        const settings = await Storage.getPaySettings();
+        const cache = { timeZone: getOrgTimeZone(settings) };
+        if (Kiosk.isEnabled()) {
+            cache.pinSalt = settings.pinSalt || null;
+            cache.pins = (await Storage.getAccounts())
+                .filter(acc => acc.role === 'employee' && acc.pinHash)
+                .map(({ username, pinHash, active }) => ({ username, pinHash, active: active !== false }));
+            cache.currentPunch = await Storage.getCurrentPunch();
+        }
+        OfflineCache.set(cache);
+        return true;
+    } catch (e) {
+        if (!isOfflineError(e)) throw e;
+        return false;
+    }
+}
+
+// Punch actions by the name used in the queue
+const PUNCH_ACTIONS = {
+    in: punchIn,
+    breakStart: startBreak,
+    breakEnd: endBreak,
+    out: (username, now, options) => punchOut(username, now, {}, options)
+};
+const PUNCH_ACTION_LABELS = { in: 'Punch in', breakStart: 'Break start', breakEnd: 'Break end', out: 'Punch out' };
+
+// Whether an error means the backend could not be reached, as opposed to
+// rejecting the operation
+function isOfflineError(e) {
+    return !!e && (e.offline === true || e.code === 'unavailable');
+}
+
+// Punch now, or queue the punch if the device is offline or the backend
+// cannot be reached. Punches are also queued while earlier ones of the
+// same user are waiting, so that they are replayed in order. A punch
+// that conflicts with one from another device is recorded as a punch
+// conflict for an administrator before its error is thrown. Changes
+// are recorded through `storage` (see punchIn). Returns
+// { queued: false, result } with the result of the punch action, or
+// { queued: true, item }.
+async function recordPunch(username, action, storage = Storage) {
+    const now = new Date();
+    const waiting = PunchQueue.items().some(item => item.username === username);
+    if (navigator.onLine && !waiting) {
+        try {
+            return { queued: false, result: await PUNCH_ACTIONS[action](username, now, { storage }) };
+        } catch (e) {
+            if (e.punchConflict) {
+                const item = { username, action, at: now.toISOString(), deviceId: PunchQueue.deviceId() };
+                await storage.addPunchConflict(item, e.message);
+            }
+            if (!isOfflineError(e)) throw e;
+        }
+    }
+    return { queued: true, item: PunchQueue.add(username, action, now) };
+}
+
+// The user's current punch record as it will be once their queued
+// punches are replayed, for showing the right state while offline.
+// Times are in the organisation time zone last read from the backend,
+// as they will be when the punches are replayed.
+function applyQueuedPunches(record, username) {
+    const timeZone = getOrgTimeZone(OfflineCache.get());
+    return PunchQueue.items().filter(item => item.username === username).reduce((current, item) => {
+        const { date, time } = getZonedParts(new Date(item.at), timeZone);
+        const stamp = toTimestamp(date, time);
+        if (item.action === 'in') return { date, punchIn: time, breaks: [] };
+        if (!current || item.action === 'out') return null;
+        const breaks = item.action === 'breakStart'
+            ? (current.breaks || []).concat({ start: stamp })
+            : (current.breaks || []).map(b => (b.end ? b : Object.assign({}, b, { end: stamp })));
+        return Object.assign({}, current, { breaks });
+    }, record);
+}
+
+// Check a queued punch against the shared data. Returns a description
+// of the conflict, or null if the punch can be applied.
+async function findPunchConflict(item) {
+    const settings = await Storage.getPaySettings();
+    const { date, time } = getPunchTimestamp(new Date(item.at), getOrgTimeZone(settings));
+    const stamp = toTimestamp(date, time);
+    const record = (await Storage.getCurrentPunch())[item.username];
+    const logs = (await Storage.getLogs()).filter(log => log.username === item.username);
+    if (item.action === 'in') {
+        if (record) return `Already punched in since ${record.date} ${record.punchIn}, probably on another device.`;
+        const covering = logs.find(log => getLogPunchInStamp(log) <= stamp && stamp < getLogPunchOutStamp(log));
+        if (covering) return `A shift from ${covering.date} ${covering.punchIn} to ${covering.punchOut} is already recorded.`;
+        return null;
+    }
+    if (!record) return 'Not punched in; the shift may already have been punched out on another device.';
+    const punchInStamp = toTimestamp(record.date, record.punchIn);
+    if (stamp < punchInStamp) return `The punch is earlier than the punch in at ${record.date} ${record.punchIn}.`;
+    if (item.action === 'breakStart' && getOpenBreak(record)) return 'A break was already in progress.';
+    if (item.action === 'breakEnd' && !getOpenBreak(record)) return 'No break was in progress.';
+    if (item.action === 'out' && logs.some(log => getLogPunchInStamp(log) === punchInStamp)) {
+        return 'This shift has already been recorded, probably from another device.';
+    }
+    return null;
+}
+
+// Replay the queued punches, oldest first. Stops, keeping the rest of
+// the queue, as soon as the backend cannot be reached. Returns the
+// number of punches taken off the queue.
+async function replayPunchQueue() {
+    if (PunchQueue.replaying || !navigator.onLine) return 0;
+    PunchQueue.replaying = true;
+    const held = new Set();
+    let processed = 0;
+    try {
+        for (const item of PunchQueue.items()) {
+            // Queued punches are made by the employee
+            const storage = Storage.as(item.username);
+            try {
+                const conflict = held.has(item.username)
+                    ? 'An earlier offline punch of this employee conflicted.'
+                    : await findPunchConflict(item);
+                if (conflict) {
+                    await storage.addPunchConflict(item, conflict);
+                    held.add(item.username);
+                } else {
+                    await PUNCH_ACTIONS[item.action](item.username, new Date(item.at), { storage });
+                }
+            } catch (e) {
+                if (isOfflineError(e)) break;
+                // The backend rejected the punch, e.g. a locked pay period
+                await storage.addPunchConflict(item, e.message);
+                held.add(item.username);
+            }
+            PunchQueue.remove(item.id);
+            processed += 1;
+        }
+    } finally {
+        PunchQueue.replaying = false;
+    }
+    return processed;
+}
+
+// Describe how many of the user's punches (or all, without a username)
+// are waiting to be sent, or '' if none are
+function describePunchQueue(username) {
+    const count = PunchQueue.items().filter(item => !username || item.username === username).length;
+    if (!count) return '';
+    return `${count} offline punch${count === 1 ? '' : 'es'} waiting to be sent.`;
+}
+
+// Populate the punch conflicts table (admin view)
+async function refreshConflictsTable() {
+    const tbody = document.querySelector('#conflicts-table tbody');
+    tbody.innerHTML = '';
+    const settings = await Storage.getPaySettings();
+    const conflicts = (await Storage.getPunchConflicts()).filter(c => c.status === 'open');
+    conflicts.sort((a, b) => a.at.localeCompare(b.at));
+    document.getElementById('conflicts-empty').textContent = conflicts.length ? '' : 'There are no punch conflicts.';
+    conflicts.forEach(c => {
         const tr = document.createElement('tr');
         tr.innerHTML = `
-            <td>${row.period}</td>
-            <td>${row.user}</td>
-            <td>${row.totalHours}</td>
-            <td>${row.totalPay}</td>
+            <td>${escapeHtml(c.username)}</td>
+            <td>${PUNCH_ACTION_LABELS[c.action] || escapeHtml(c.action)}</td>
+            <td>${escapeHtml(formatInstant(c.at, getOrgTimeZone(settings)))}</td>
+            <td>${escapeHtml(c.deviceId)}</td>
+            <td>${escapeHtml(c.reason)}</td>
+            <td><button class="resolve-conflict-btn" data-id="${escapeHtml(c.id)}">Mark Resolved</button></td>
         `;
         tbody.appendChild(tr);
     });
-    const summaryTable = document.querySelector('#summary-table');
-    const exportBtn = document.querySelector('#export-summary-button');
-    if (rows.length > 0) {
-        show(summaryTable);
-        show(exportBtn);
-    } else {
-        hide(summaryTable);
-        hide(exportBtn);
-    }
+    tbody.querySelectorAll('.resolve-conflict-btn').forEach(btn => {
+        btn.addEventListener('click', async function() {
+            const note = prompt('How was this conflict resolved? (e.g. "Shift added in the log editor")', '');
+            if (note === null) return;
+            await Storage.resolvePunchConflict(this.dataset.id, note.trim());
+            refreshConflictsTable();
+            refreshAuditTable();
+        });
+    });
 }
 
-// Export summary to CSV and download
-async function exportSummary() {
-    const rows = await generateSummary();
-    if (!rows || rows.length === 0) {
-        alert('No summary data to export.');
-        return;
+/*
+ * Overtime rules.
+ *
+ * `paySettings.overtimeRules` is a list of { scope, thresholdHours,
+ * multiplier } where scope is "daily" or "weekly", for example
+ * { scope: 'daily', thresholdHours: 8, multiplier: 1.5 }. Daily rules
+ * apply to the minutes worked on each shift date beyond the threshold;
+ * when several daily rules overlap the highest multiplier wins. Weekly
+ * rules apply only to the regular (1x) minutes of a workweek, so hours
+ * already paid as daily overtime are not counted twice. Workweeks start
+ * on `paySettings.workweekStartDay` (0 = Sunday). Minutes paid at 2x or
+ * more are reported as double time, anything above 1x as overtime.
+ */
+
+// Split the minute range [start, start + length) into segments by
+// multiplier: a minute at position p is paid at the highest multiplier
+// among the rules whose threshold it has passed, or 1x.
+function splitByThresholds(start, length, rules) {
+    const boundaries = rules
+        .map(r => r.thresholdHours * 60)
+        .filter(t => t > start && t < start + length)
+        .sort((a, b) => a - b);
+    const multiplierAt = position => rules.reduce(
+        (max, r) => (position >= r.thresholdHours * 60 ? Math.max(max, r.multiplier) : max), 1
+    );
+    const segments = [];
+    let position = start;
+    boundaries.concat(start + length).forEach(boundary => {
+        if (boundary > position) {
+            segments.push({ minutes: boundary - position, multiplier: multiplierAt(position) });
+            position = boundary;
+        }
+    });
+    return segments;
+}
+
+// Return the YYYY-MM-DD start of the workweek containing a date
+function getWorkweekStart(dateStr, weekStartDay = 0) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    return addDays(dateStr, -((weekday - weekStartDay + 7) % 7));
+}
+
+// Classify each employee's worked minutes by multiplier. Returns a map
+// username -> shift date -> [{ minutes, multiplier }]. All of an
+// employee's logs are considered together so that weekly thresholds
+// carry across pay period boundaries.
+function classifyOvertime(logs, rules = [], weekStartDay = 0) {
+    const dailyRules = rules.filter(r => r.scope === 'daily');
+    const weeklyRules = rules.filter(r => r.scope === 'weekly');
+    // username -> date -> minutes
+    const dayTotals = {};
+    logs.forEach(log => {
+        if (!dayTotals[log.username]) dayTotals[log.username] = {};
+        const days = dayTotals[log.username];
+        days[log.date] = (days[log.date] || 0) + log.minutesWorked;
+    });
+    const result = {};
+    Object.keys(dayTotals).forEach(user => {
+        result[user] = {};
+        let week = null;
+        let weekRegular = 0;
+        Object.keys(dayTotals[user]).sort().forEach(date => {
+            const weekStart = getWorkweekStart(date, weekStartDay);
+            if (weekStart !== week) {
+                week = weekStart;
+                weekRegular = 0;
+            }
+            const segments = [];
+            splitByThresholds(0, dayTotals[user][date], dailyRules).forEach(seg => {
+                if (seg.multiplier > 1) {
+                    segments.push(seg);
+                    return;
+                }
+                splitByThresholds(weekRegular, seg.minutes, weeklyRules).forEach(w => segments.push(w));
+                weekRegular += seg.minutes;
+            });
+            result[user][date] = segments;
+        });
+    });
+    return result;
+}
+
+// Name the pay bucket for a multiplier
+function overtimeBucket(multiplier) {
+    if (multiplier >= 2) return 'double';
+    if (multiplier > 1) return 'overtime';
+    return 'regular';
+}
+
+/*
+ * Pay rates.
+ *
+ * An employee account holds its hourly rates as `rateHistory`, a list
+ * of { effectiveFrom, rate } sorted by `effectiveFrom` (YYYY-MM-DD). A
+ * shift is paid at the rate in effect on its shift date, so a raise
+ * does not change the pay of earlier periods. The first rate may have
+ * no `effectiveFrom`, meaning it applies from the start; shifts before
+ * the earliest date are paid at the earliest rate. Accounts created
+ * before rates were dated only have a single `hourlyRate`.
+ */
+
+// The rate history of an account, oldest first
+function getRateHistory(account) {
+    if (account && Array.isArray(account.rateHistory) && account.rateHistory.length) {
+        return account.rateHistory;
     }
-    let csv = 'Pay Period Start,Employee,Total Hours,Total Pay\n';
-    rows.forEach(r => {
-        csv += `${r.period},${r.user},${r.totalHours},${r.totalPay}\n`;
+    return [{ effectiveFrom: null, rate: (account && account.hourlyRate) || 0 }];
+}
+
+// The hourly rate of an account in effect on a YYYY-MM-DD date
+function getRateForDate(account, dateStr) {
+    const history = getRateHistory(account);
+    let current = history[0];
+    history.forEach(entry => {
+        if (!entry.effectiveFrom || entry.effectiveFrom <= dateStr) current = entry;
+    });
+    return current.rate;
+}
+
+/*
+ * Schedules and attendance.
+ *
+ * Each employee can have a weekly roster: { days } where `days` is
+ * indexed by weekday (0 = Sunday) and holds { start, end } ("HH:MM")
+ * for a working day or null for a day off. A shift whose end is not
+ * after its start ends the next day. Punches are compared with the
+ * roster using `paySettings.attendancePolicy`, e.g. { lateGraceMinutes:
+ * 5, earlyLeaveGraceMinutes: 5, missedPunchGraceMinutes: 60 }. A shift
+ * belongs to the scheduled day its punch-in falls on.
+ */
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_ATTENDANCE_POLICY = { lateGraceMinutes: 5, earlyLeaveGraceMinutes: 5, missedPunchGraceMinutes: 60 };
+const ATTENDANCE_EXCEPTION_LABELS = {
+    late: 'Late arrival',
+    earlyLeave: 'Early departure',
+    missedPunch: 'Missed punch-out',
+    noShow: 'No-show'
+};
+
+// Weekday (0 = Sunday) of a YYYY-MM-DD date
+function getWeekday(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// The shift a roster schedules on a date, as { start, end } timestamps
+// ("YYYY-MM-DDTHH:MM"), or null on a day off
+function getScheduledShift(schedule, dateStr) {
+    const day = schedule && schedule.days && schedule.days[getWeekday(dateStr)];
+    if (!day) return null;
+    const endDate = day.end > day.start ? dateStr : addDays(dateStr, 1);
+    return { start: toTimestamp(dateStr, day.start), end: toTimestamp(endDate, day.end) };
+}
+
+// Describe a roster day, e.g. "09:00–17:00"
+function formatScheduledDay(day) {
+    return day ? `${day.start}–${day.end}` : 'Off';
+}
+
+// Compare punches with the rosters for the dates from `from` to `to`
+// (inclusive YYYY-MM-DD), as seen at `now`. Shifts that have not ended
+// yet are only checked for lateness. Returns a list of { username,
+// date, type, scheduled, actual, minutes } sorted by date, where type
+// is a key of ATTENDANCE_EXCEPTION_LABELS and `minutes` is how late,
+// how early or how long overdue the punch was.
+function findAttendanceExceptions({ schedules, logs, currentPunch, policy, from, to, now = new Date(), timeZone }) {
+    const grace = Object.assign({}, DEFAULT_ATTENDANCE_POLICY, policy);
+    const current = getZonedParts(now, timeZone);
+    const nowMinutes = timestampToMinutes(toTimestamp(current.date, current.time), timeZone);
+    const minutesOf = stamp => timestampToMinutes(stamp, timeZone);
+    const last = to < current.date ? to : current.date;
+    const exceptions = [];
+    Object.keys(schedules).sort().forEach(username => {
+        for (let date = from; date <= last; date = addDays(date, 1)) {
+            const shift = getScheduledShift(schedules[username], date);
+            if (!shift) continue;
+            const scheduled = `${shift.start.slice(11)}–${shift.end.slice(11)}`;
+            const add = (type, actual, minutes) => exceptions.push({ username, date, type, scheduled, actual, minutes });
+            const dayLogs = logs
+                .filter(log => log.username === username && log.date === date)
+                .sort((a, b) => a.punchIn.localeCompare(b.punchIn));
+            const open = currentPunch[username] && currentPunch[username].date === date ? currentPunch[username] : null;
+            const startMinutes = minutesOf(shift.start);
+            const endMinutes = minutesOf(shift.end);
+            if (!dayLogs.length && !open) {
+                if (nowMinutes > endMinutes) add('noShow', '', 0);
+                continue;
+            }
+            const firstIn = dayLogs.length ? getLogPunchInStamp(dayLogs[0]) : toTimestamp(open.date, open.punchIn);
+            const lateBy = minutesOf(firstIn) - startMinutes;
+            if (lateBy > grace.lateGraceMinutes) add('late', firstIn.slice(11), lateBy);
+            if (open) {
+                const overdue = nowMinutes - endMinutes;
+                if (overdue > grace.missedPunchGraceMinutes) add('missedPunch', `in since ${open.punchIn}`, overdue);
+            } else if (nowMinutes > endMinutes) {
+                const lastOut = dayLogs.map(getLogPunchOutStamp).sort().pop();
+                const earlyBy = endMinutes - minutesOf(lastOut);
+                if (earlyBy > grace.earlyLeaveGraceMinutes) add('earlyLeave', lastOut.slice(11), earlyBy);
+            }
+        }
     });
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    return exceptions.sort((a, b) => a.date.localeCompare(b.date) || a.username.localeCompare(b.username));
+}
+
+// Format minutes into hours with two decimal places
+function formatHours(mins) {
+    return (mins / 60).toFixed(2);
+}
+
+// Update UI helper functions
+function show(element) { element.classList.remove('hidden'); }
+function hide(element) { element.classList.add('hidden'); }
+
+// Escape a value for safe interpolation into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Quote a CSV field when it contains a comma, quote or line break
+function csvEscape(value) {
+    const str = String(value ?? '');
+    return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+// Build CSV text from an array of rows (arrays of field values)
+function toCsv(rows) {
+    return rows.map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+// Parse CSV text into an array of rows (arrays of field values).
+// Quoted fields may contain commas, doubled quotes and line breaks.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Offer text content to the user as a file download
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'timekeeper_summary.csv';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     setTimeout(() => {
@@ -539,6 +2570,1766 @@ async function exportSummary() {
     }, 0);
 }
 
+// Populate employees table in admin view
+function refreshEmployeeTable() {
+    const tbody = document.querySelector('#employees-table tbody');
+    tbody.innerHTML = '';
+    // Fetch accounts asynchronously and then render the table
+    (async () => {
+        const accounts = await Storage.getAccounts();
+        const today = getZonedToday(getOrgTimeZone(await Storage.getPaySettings()));
+        accounts.forEach(acc => {
+            if (acc.role === 'employee') {
+                const upcoming = getRateHistory(acc).filter(entry => entry.effectiveFrom > today).length;
+                const active = isAccountActive(acc);
+                const tr = document.createElement('tr');
+                if (!active) tr.classList.add('inactive');
+                tr.innerHTML = `
+                    <td>${escapeHtml(acc.username)}</td>
+                    <td>${active ? 'Active' : 'Deactivated'}</td>
+                    <td>${getRateForDate(acc, today)}${upcoming ? ` <span class="subtitle">(${upcoming} upcoming)</span>` : ''}</td>
+                    <td>${acc.pinHash ? 'Set' : '—'}</td>
+                    <td>
+                        <button class="edit-emp-btn" data-username="${escapeHtml(acc.username)}">Edit</button>
+                        <button class="rates-btn" data-username="${escapeHtml(acc.username)}">Rates</button>
+                        <button class="set-pin-btn" data-username="${escapeHtml(acc.username)}">Set PIN</button>
+                        <button class="toggle-active-btn" data-username="${escapeHtml(acc.username)}">${active ? 'Deactivate' : 'Reactivate'}</button>
+                        <button class="delete-btn" data-username="${escapeHtml(acc.username)}">Delete</button>
+                    </td>
+                `;
+                tbody.appendChild(tr);
+            }
+        });
+        refreshLogEditorEmployees(accounts);
+        refreshRosterEditor(accounts);
+        refreshExportEmployees(accounts);
+        tbody.querySelectorAll('.edit-emp-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                openEmployeeEditor(accounts.find(acc => acc.username === this.dataset.username));
+            });
+        });
+        tbody.querySelectorAll('.toggle-active-btn').forEach(btn => {
+            btn.addEventListener('click', async function() {
+                const account = accounts.find(acc => acc.username === this.dataset.username);
+                const active = !isAccountActive(account);
+                if (!active && !confirm(`Deactivate '${account.username}'? They will no longer be able to sign in or punch; their history is kept.`)) {
+                    return;
+                }
+                try {
+                    await Storage.setAccountActive(account.username, active);
+                } catch (e) {
+                    alert(e.message);
+                    return;
+                }
+                refreshEmployeeTable();
+                refreshAttendanceReport();
+                refreshAuditTable();
+            });
+        });
+        tbody.querySelectorAll('.rates-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                openRateEditor(accounts.find(acc => acc.username === this.dataset.username));
+            });
+        });
+        tbody.querySelectorAll('.set-pin-btn').forEach(btn => {
+            btn.addEventListener('click', async function() {
+                const pin = prompt(`New kiosk PIN for '${this.dataset.username}' (4–8 digits, leave empty to remove):`, '');
+                if (pin === null) return;
+                try {
+                    await setEmployeePin(this.dataset.username, pin.trim());
+                } catch (e) {
+                    alert(e.message);
+                    return;
+                }
+                refreshEmployeeTable();
+            });
+        });
+        // attach delete handlers
+        tbody.querySelectorAll('.delete-btn').forEach(btn => {
+            btn.addEventListener('click', async function() {
+                const username = this.dataset.username;
+                if (username && confirm(`Delete employee '${username}'? Only employees without recorded shifts can be deleted.`)) {
+                    try {
+                        await Storage.deleteAccount(username);
+                    } catch (e) {
+                        alert(e.message);
+                        return;
+                    }
+                    refreshEmployeeTable();
+                }
+            });
+        });
+    })();
+}
+
+// Load an employee into the edit dialog (admin view)
+function openEmployeeEditor(account) {
+    const editor = document.getElementById('employee-editor');
+    editor.dataset.username = account.username;
+    document.getElementById('employee-editor-title').textContent = `Edit ${account.username}`;
+    document.getElementById('edit-emp-username').value = account.username;
+    document.getElementById('edit-emp-password').value = '';
+    document.getElementById('edit-emp-rate').value = '';
+    document.getElementById('employee-editor-error').textContent = '';
+    // A new rate takes effect today unless another date is chosen
+    Storage.getPaySettings().then(settings => {
+        document.getElementById('edit-emp-rate-from').value = getZonedToday(getOrgTimeZone(settings));
+    });
+    hide(document.getElementById('rate-editor'));
+    show(editor);
+}
+
+// Save the employee edit dialog: rename the employee, reset their
+// password and add a new rate, whichever were filled in. A reset
+// password must be changed at the next sign-in.
+async function saveEmployeeEditor() {
+    const editor = document.getElementById('employee-editor');
+    const errorEl = document.getElementById('employee-editor-error');
+    const newUsername = document.getElementById('edit-emp-username').value.trim();
+    const password = document.getElementById('edit-emp-password').value;
+    const rateValue = document.getElementById('edit-emp-rate').value;
+    const rate = parseFloat(rateValue);
+    const effectiveFrom = document.getElementById('edit-emp-rate-from').value || null;
+    errorEl.textContent = '';
+    if (!newUsername) {
+        errorEl.textContent = 'Please enter a username.';
+        return;
+    }
+    if (!isValidUsername(newUsername)) {
+        errorEl.textContent = 'Usernames may only contain letters, digits, dots, dashes and underscores (up to 32).';
+        return;
+    }
+    if (password && password.length < 8) {
+        errorEl.textContent = 'Password must be at least 8 characters.';
+        return;
+    }
+    if (rateValue !== '' && (isNaN(rate) || rate < 0)) {
+        errorEl.textContent = 'Please enter a rate of 0 or more.';
+        return;
+    }
+    let username = editor.dataset.username;
+    try {
+        if (newUsername !== username) {
+            await Storage.renameAccount(username, newUsername);
+            username = newUsername;
+            editor.dataset.username = username;
+        }
+        if (password) {
+            const { passwordHash, salt, iterations, ...rest } = await Storage.getAccountByUsername(username);
+            await Storage.upsertAccount(Object.assign(rest, { password, mustChangePassword: true }));
+        }
+        if (rateValue !== '') {
+            const history = getRateHistory(await Storage.getAccountByUsername(username))
+                .filter(entry => entry.effectiveFrom !== effectiveFrom)
+                .concat({ effectiveFrom, rate })
+                .sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+            await Storage.setRateHistory(username, history);
+        }
+    } catch (e) {
+        errorEl.textContent = e.message;
+        refreshEmployeeTable();
+        return;
+    }
+    hide(editor);
+    refreshEmployeeTable();
+    refreshLogsTable();
+    refreshAttendanceReport();
+    refreshAuditTable();
+}
+
+// Show the rate history of an employee in the rate editor (admin view)
+function openRateEditor(account) {
+    const editor = document.getElementById('rate-editor');
+    editor.dataset.username = account.username;
+    document.getElementById('rate-editor-title').textContent = `Pay Rates for ${account.username}`;
+    document.getElementById('rate-editor-error').textContent = '';
+    document.querySelector('#rates-table tbody').innerHTML = '';
+    getRateHistory(account).forEach(entry => addRateRow(entry));
+    hide(document.getElementById('employee-editor'));
+    show(editor);
+}
+
+// Append one editable row to the rate editor
+function addRateRow(entry = { effectiveFrom: '', rate: '' }) {
+    const tbody = document.querySelector('#rates-table tbody');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+        <td><input type="date" class="rate-from" value="${entry.effectiveFrom || ''}"></td>
+        <td><input type="number" class="rate-value" min="0" step="0.01" value="${entry.rate}" style="width:100px"></td>
+        <td><button class="remove-rate-btn">Remove</button></td>
+    `;
+    tr.querySelector('.remove-rate-btn').addEventListener('click', () => tr.remove());
+    tbody.appendChild(tr);
+}
+
+// Validate the rate editor and save the employee's rate history
+async function saveRateEditor() {
+    const editor = document.getElementById('rate-editor');
+    const errorEl = document.getElementById('rate-editor-error');
+    errorEl.textContent = '';
+    const history = [];
+    let valid = true;
+    document.querySelectorAll('#rates-table tbody tr').forEach(tr => {
+        const effectiveFrom = tr.querySelector('.rate-from').value || null;
+        const rate = parseFloat(tr.querySelector('.rate-value').value);
+        if (isNaN(rate) || rate < 0) valid = false;
+        history.push({ effectiveFrom, rate });
+    });
+    if (!valid || history.length === 0) {
+        errorEl.textContent = 'Please enter at least one rate, each of 0 or more.';
+        return;
+    }
+    history.sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+    if (new Set(history.map(entry => entry.effectiveFrom)).size !== history.length) {
+        errorEl.textContent = 'Two rates cannot take effect on the same date.';
+        return;
+    }
+    try {
+        await Storage.setRateHistory(editor.dataset.username, history);
+    } catch (e) {
+        errorEl.textContent = e.message;
+        return;
+    }
+    hide(editor);
+    refreshEmployeeTable();
+    refreshAuditTable();
+}
+
+// Populate logs table (admin view)
+async function refreshLogsTable() {
+    const tbody = document.querySelector('#logs-table tbody');
+    tbody.innerHTML = '';
+    const logs = await Storage.getLogs();
+    logs.forEach(log => {
+        const rowId = log.id;
+        const deduction = log.deduction ?? 0;
+        const lastEdit = log.edits && log.edits.length ? log.edits[log.edits.length - 1] : null;
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${escapeHtml(log.username)}</td>
+            <td>${log.date}</td>
+            <td>${log.punchIn}</td>
+            <td>${log.punchOutDate ?? log.date}</td>
+            <td>${log.punchOut}</td>
+            <td>${formatRoundedPunch(log.roundedIn, log.date)}</td>
+            <td>${formatRoundedPunch(log.roundedOut, log.punchOutDate ?? log.date)}</td>
+            <td>${formatHours(log.minutesWorked)}</td>
+            <td>${log.payPeriodStart}</td>
+            <td>${escapeHtml(formatBreaks(log))}</td>
+            <td>${deduction}</td>
+            <td>
+                ${log.generatedBy === 'system' ? '<span class="status status-system">system</span>' : ''}
+                ${lastEdit ? escapeHtml(`${lastEdit.reason} (${lastEdit.by})`) : ''}
+            </td>
+            <td>
+                <button class="edit-log-btn" data-id="${rowId}">Edit</button>
+                <button class="delete-log-btn" data-id="${rowId}">Delete</button>
+            </td>
+        `;
+        tbody.appendChild(tr);
+    });
+    refreshExportPeriods(logs);
+    const findLog = id => logs.find(l => l.id === id);
+    tbody.querySelectorAll('.edit-log-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const logRecord = findLog(this.dataset.id);
+            if (logRecord) fillLogEditor(this.dataset.id, logRecord);
+        });
+    });
+    tbody.querySelectorAll('.delete-log-btn').forEach(btn => {
+        btn.addEventListener('click', async function() {
+            const logRecord = findLog(this.dataset.id);
+            if (!logRecord) return;
+            const reason = prompt(`Reason for deleting the ${logRecord.date} ${logRecord.punchIn} entry for '${logRecord.username}':`, '');
+            if (reason === null) return;
+            if (!reason.trim()) {
+                alert('A reason is required to delete a log entry.');
+                return;
+            }
+            try {
+                await Storage.deleteLog(this.dataset.id, reason.trim());
+            } catch (e) {
+                alert(e.message);
+                return;
+            }
+            resetLogEditor();
+            refreshLogsTable();
+            refreshSummaryTable();
+            refreshAuditTable();
+        });
+    });
+}
+
+// Fill the employee dropdown of the admin log editor
+function refreshLogEditorEmployees(accounts) {
+    const select = document.getElementById('log-edit-username');
+    const selected = select.value;
+    select.innerHTML = '';
+    accounts.filter(acc => acc.role === 'employee').forEach(acc => {
+        const option = document.createElement('option');
+        option.value = acc.username;
+        option.textContent = isAccountActive(acc) ? acc.username : `${acc.username} (deactivated)`;
+        select.appendChild(option);
+    });
+    if (selected) select.value = selected;
+}
+
+// Load an existing log entry into the admin log editor
+function fillLogEditor(rowId, log) {
+    document.getElementById('log-editor-title').textContent = 'Edit Log Entry';
+    document.getElementById('log-edit-save-button').textContent = 'Save Changes';
+    document.getElementById('log-edit-id').value = rowId;
+    document.getElementById('log-edit-username').value = log.username;
+    document.getElementById('log-edit-in-date').value = log.date;
+    document.getElementById('log-edit-in-time').value = log.punchIn;
+    document.getElementById('log-edit-out-date').value = log.punchOutDate ?? log.date;
+    document.getElementById('log-edit-out-time').value = log.punchOut;
+    document.getElementById('log-edit-deduction').value = log.deduction ?? 0;
+    document.getElementById('log-edit-reason').value = '';
+    document.getElementById('log-edit-error').textContent = '';
+}
+
+// Clear the admin log editor back to "add" mode
+function resetLogEditor() {
+    document.getElementById('log-editor-title').textContent = 'Add Log Entry';
+    document.getElementById('log-edit-save-button').textContent = 'Add Entry';
+    document.getElementById('log-edit-id').value = '';
+    ['log-edit-in-date', 'log-edit-in-time', 'log-edit-out-date', 'log-edit-out-time', 'log-edit-reason'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('log-edit-deduction').value = 0;
+    document.getElementById('log-edit-error').textContent = '';
+}
+
+// Validate the admin log editor and create or update the entry.
+// `minutesWorked` and `payPeriodStart` are recomputed from the punches
+// with the same helpers (and rounding policy) the punch flow uses, and the reason for the
+// change is saved with the entry. An existing entry whose shift date is
+// unchanged keeps the pay period it was originally assigned.
+async function saveLogEditor(editorUsername) {
+    const errorEl = document.getElementById('log-edit-error');
+    const rowId = document.getElementById('log-edit-id').value;
+    const username = document.getElementById('log-edit-username').value;
+    const date = document.getElementById('log-edit-in-date').value;
+    const punchIn = document.getElementById('log-edit-in-time').value;
+    const punchOutDate = document.getElementById('log-edit-out-date').value || date;
+    const punchOut = document.getElementById('log-edit-out-time').value;
+    const deductionValue = parseInt(document.getElementById('log-edit-deduction').value);
+    const deduction = isNaN(deductionValue) || deductionValue < 0 ? 0 : deductionValue;
+    const reason = document.getElementById('log-edit-reason').value.trim();
+    if (!username || !date || !punchIn || !punchOut) {
+        errorEl.textContent = 'Please choose an employee and enter punch in and punch out times.';
+        return;
+    }
+    const punchInStamp = toTimestamp(date, punchIn);
+    const punchOutStamp = toTimestamp(punchOutDate, punchOut);
+    if (timestampToMinutes(punchOutStamp) <= timestampToMinutes(punchInStamp)) {
+        errorEl.textContent = 'Punch out must be after punch in.';
+        return;
+    }
+    if (!reason) {
+        errorEl.textContent = 'Please enter a reason for this change.';
+        return;
+    }
+    let existing = null;
+    if (rowId !== '') {
+        existing = await Storage.getLog(rowId);
+        if (!existing) {
+            errorEl.textContent = 'This log entry no longer exists.';
+            return;
+        }
+    }
+    let settings;
+    try {
+        settings = await Storage.getPaySettings();
+    } catch (e) {
+        settings = { startDays: [1, 15] };
+    }
+    // Breaks recorded by the employee are kept; the editor changes the
+    // punches and the manual deduction only.
+    const breaks = existing?.breaks || [];
+    const { roundedIn, roundedOut } = roundShiftPunches(punchInStamp, punchOutStamp, settings.roundingPolicy);
+    const { minutesWorked, breakMinutes, autoDeduction } = computeShiftMinutes(
+        roundedIn, roundedOut, breaks, deduction, settings.breakPolicy, getOrgTimeZone(settings)
+    );
+    const fields = {
+        username,
+        date,
+        punchIn,
+        punchOutDate,
+        punchOut,
+        roundedIn,
+        roundedOut,
+        deduction,
+        breaks,
+        breakMinutes,
+        autoDeduction,
+        minutesWorked
+    };
+    if (existing && existing.date === date) {
+        fields.payPeriodStart = existing.payPeriodStart;
+        fields.payPeriodEnd = getLogPayPeriodEnd(existing, settings);
+    } else {
+        const period = getPayPeriodForDate(date, settings);
+        fields.payPeriodStart = period.start;
+        fields.payPeriodEnd = period.end;
+    }
+    const edit = { by: editorUsername, at: new Date().toISOString(), reason };
+    try {
+        if (!existing) {
+            await Storage.addLog(Object.assign(fields, { edits: [edit] }));
+        } else {
+            fields.edits = (existing.edits || []).concat(edit);
+            await Storage.updateLog(rowId, fields);
+        }
+    } catch (e) {
+        // Most likely the entry is in, or would move into, a locked period
+        errorEl.textContent = e.message;
+        return;
+    }
+    resetLogEditor();
+    refreshLogsTable();
+    refreshSummaryTable();
+    refreshAuditTable();
+}
+
+// Generate summary for admin view. Each row splits the employee's
+// hours and pay into regular, overtime and double time according to
+// the overtime rules in the pay settings. Every shift date is paid at
+// the employee's rate in effect on that date.
+async function generateSummary() {
+    const logs = await Storage.getLogs();
+    const accounts = await Storage.getAccounts();
+    const settings = await Storage.getPaySettings();
+    const periodStates = await Storage.getPeriodStates();
+    const classified = classifyOvertime(logs, settings.overtimeRules || [], settings.workweekStartDay ?? 0);
+    // Build a map payPeriodStart -> employee -> { minutes per bucket,
+    // first punch-in date, last punch-out date }. Shifts are assigned to
+    // the pay period of their punch-in date, so an overnight shift may
+    // end after the period's other shifts.
+    const summaryMap = {};
+    const countedDays = new Set();
+    logs.forEach(log => {
+        if (!summaryMap[log.payPeriodStart]) summaryMap[log.payPeriodStart] = {};
+        const empMap = summaryMap[log.payPeriodStart];
+        const outDate = log.punchOutDate ?? log.date;
+        if (!empMap[log.username]) {
+            empMap[log.username] = {
+                segments: [],
+                periodEnd: getLogPayPeriodEnd(log, settings),
+                firstDate: log.date,
+                lastDate: outDate
+            };
+        }
+        const entry = empMap[log.username];
+        if (log.date < entry.firstDate) entry.firstDate = log.date;
+        if (outDate > entry.lastDate) entry.lastDate = outDate;
+        // Overtime is classified per shift date, so add each date once
+        const dayKey = log.username + '|' + log.date;
+        if (!countedDays.has(dayKey)) {
+            countedDays.add(dayKey);
+            const account = accounts.find(a => a.username === log.username);
+            const rate = getRateForDate(account, log.date);
+            entry.segments.push(...classified[log.username][log.date].map(seg => Object.assign({ rate }, seg)));
+        }
+    });
+    // Create rows
+    const summaryRows = [];
+    Object.keys(summaryMap).sort().forEach(period => {
+        const empMap = summaryMap[period];
+        Object.keys(empMap).forEach(user => {
+            const { segments, periodEnd, firstDate, lastDate } = empMap[user];
+            const minutes = { regular: 0, overtime: 0, double: 0 };
+            const pay = { regular: 0, overtime: 0, double: 0 };
+            segments.forEach(seg => {
+                const bucket = overtimeBucket(seg.multiplier);
+                minutes[bucket] += seg.minutes;
+                pay[bucket] += seg.minutes / 60 * seg.rate * seg.multiplier;
+            });
+            const totalMins = minutes.regular + minutes.overtime + minutes.double;
+            summaryRows.push({
+                period,
+                periodEnd,
+                status: periodStates[period]?.status || 'open',
+                user,
+                firstDate,
+                lastDate,
+                regularHours: formatHours(minutes.regular),
+                overtimeHours: formatHours(minutes.overtime),
+                doubleHours: formatHours(minutes.double),
+                totalHours: formatHours(totalMins),
+                regularPay: pay.regular.toFixed(2),
+                overtimePay: pay.overtime.toFixed(2),
+                doublePay: pay.double.toFixed(2),
+                totalPay: (pay.regular + pay.overtime + pay.double).toFixed(2)
+            });
+        });
+    });
+    return summaryRows;
+}
+
+// Populate summary table and show export button. Each row opens the
+// employee's pay statement for its period.
+async function refreshSummaryTable() {
+    const tbody = document.querySelector('#summary-table tbody');
+    tbody.innerHTML = '';
+    const rows = await generateSummary();
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${row.period}</td>
+            <td>${row.periodEnd}</td>
+            <td><span class="status status-${row.status}">${row.status}</span></td>
+            <td>${escapeHtml(row.user)}</td>
+            <td>${row.firstDate} – ${row.lastDate}</td>
+            <td>${row.regularHours}</td>
+            <td>${row.overtimeHours}</td>
+            <td>${row.doubleHours}</td>
+            <td>${row.totalHours}</td>
+            <td>${row.regularPay}</td>
+            <td>${row.overtimePay}</td>
+            <td>${row.doublePay}</td>
+            <td>${row.totalPay}</td>
+            <td><button class="statement-btn" data-username="${escapeHtml(row.user)}" data-period="${row.period}">Statement</button></td>
+        `;
+        tbody.appendChild(tr);
+    });
+    tbody.querySelectorAll('.statement-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            openPayStatement(this.dataset.username, this.dataset.period);
+        });
+    });
+    refreshPeriodsTable(rows);
+    const summaryTable = document.querySelector('#summary-table');
+    const periodsTable = document.querySelector('#periods-table');
+    const exportBtn = document.querySelector('#export-summary-button');
+    if (rows.length > 0) {
+        show(summaryTable);
+        show(periodsTable);
+        show(exportBtn);
+    } else {
+        hide(summaryTable);
+        hide(periodsTable);
+        hide(exportBtn);
+    }
+}
+
+// Actions offered for each pay period state: [target status, label]
+const PERIOD_ACTIONS = {
+    open: [['submitted', 'Submit']],
+    submitted: [['approved', 'Approve & Lock'], ['open', 'Return to Open']],
+    approved: [['open', 'Unlock']]
+};
+
+// Populate the pay period workflow table from the summary rows
+function refreshPeriodsTable(rows) {
+    const tbody = document.querySelector('#periods-table tbody');
+    tbody.innerHTML = '';
+    const periods = [];
+    rows.forEach(row => {
+        if (!periods.some(p => p.period === row.period)) periods.push(row);
+    });
+    periods.forEach(({ period, periodEnd, status }) => {
+        const tr = document.createElement('tr');
+        const buttons = PERIOD_ACTIONS[status].map(([target, label]) => (
+            `<button class="period-action-btn" data-period="${period}" data-status="${target}">${label}</button>`
+        )).join(' ');
+        tr.innerHTML = `
+            <td>${period}</td>
+            <td>${periodEnd}</td>
+            <td><span class="status status-${status}">${status}</span></td>
+            <td>${buttons}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+    tbody.querySelectorAll('.period-action-btn').forEach(btn => {
+        btn.addEventListener('click', async function() {
+            const { period, status } = this.dataset;
+            let reason = '';
+            if (status === 'open') {
+                // Unlocking or returning a period must be justified
+                reason = prompt(`Reason for reopening pay period ${period}:`, '');
+                if (reason === null) return;
+                if (!reason.trim()) {
+                    alert('A reason is required to reopen a pay period.');
+                    return;
+                }
+            } else if (status === 'approved' &&
+                !confirm(`Approve pay period ${period}? Its logs will be locked against changes.`)) {
+                return;
+            }
+            try {
+                await Storage.setPeriodState(period, status, reason.trim());
+            } catch (e) {
+                alert(e.message);
+            }
+            refreshSummaryTable();
+            refreshAuditTable();
+        });
+    });
+}
+
+// Export summary to CSV and download
+async function exportSummary() {
+    const rows = await generateSummary();
+    if (!rows || rows.length === 0) {
+        alert('No summary data to export.');
+        return;
+    }
+    const csvRows = [[
+        'Pay Period Start', 'Pay Period End', 'Status', 'Employee', 'First Shift Date', 'Last Shift Date',
+        'Regular Hours', 'Overtime Hours', 'Double Time Hours', 'Total Hours',
+        'Regular Pay', 'Overtime Pay', 'Double Time Pay', 'Total Pay'
+    ]];
+    rows.forEach(r => {
+        csvRows.push([
+            r.period, r.periodEnd, r.status, r.user, r.firstDate, r.lastDate,
+            r.regularHours, r.overtimeHours, r.doubleHours, r.totalHours,
+            r.regularPay, r.overtimePay, r.doublePay, r.totalPay
+        ]);
+    });
+    downloadFile(toCsv(csvRows), 'timekeeper_summary.csv', 'text/csv;charset=utf-8;');
+}
+
+/*
+ * Payroll exports.
+ *
+ * Besides the summary CSV, administrators can export the shift detail
+ * (one row per log) or the employee totals (one row per employee and
+ * pay period, as in the summary) as CSV, or both as JSON, filtered by
+ * pay period and employee. The CSV columns can be chosen, reordered and
+ * renamed to match what a payroll provider expects. These choices can
+ * be saved as named profiles (see Storage.getExportProfiles):
+ * { name, format, period, username, columns: [{ key, header }] } where
+ * `period` is a pay period start, "latest" or "" for all periods.
+ */
+
+// The export formats and the columns each CSV format offers, in their
+// default order, as [field, default header]
+const EXPORT_FORMATS = {
+    shifts: {
+        label: 'Shift detail (CSV)',
+        columns: [
+            ['username', 'Employee'], ['date', 'Shift Date'], ['punchIn', 'Punch In'],
+            ['punchOutDate', 'Punch Out Date'], ['punchOut', 'Punch Out'], ['roundedIn', 'Rounded In'],
+            ['roundedOut', 'Rounded Out'], ['breakMinutes', 'Break Minutes'], ['autoDeduction', 'Auto Meal Minutes'],
+            ['deduction', 'Deduction Minutes'], ['hours', 'Hours'], ['rate', 'Rate'],
+            ['payPeriodStart', 'Pay Period Start'], ['payPeriodEnd', 'Pay Period End'], ['periodStatus', 'Period Status'],
+            ['source', 'Source'], ['lastEditReason', 'Last Edit Reason']
+        ]
+    },
+    totals: {
+        label: 'Employee totals (CSV)',
+        columns: [
+            ['period', 'Pay Period Start'], ['periodEnd', 'Pay Period End'], ['status', 'Status'], ['user', 'Employee'],
+            ['firstDate', 'First Shift Date'], ['lastDate', 'Last Shift Date'], ['regularHours', 'Regular Hours'],
+            ['overtimeHours', 'Overtime Hours'], ['doubleHours', 'Double Time Hours'], ['totalHours', 'Total Hours'],
+            ['regularPay', 'Regular Pay'], ['overtimePay', 'Overtime Pay'], ['doublePay', 'Double Time Pay'],
+            ['totalPay', 'Total Pay']
+        ]
+    },
+    json: { label: 'Shifts and totals (JSON)', columns: [] }
+};
+
+// The default column mapping of an export format: every column, under
+// its default header
+function getDefaultExportColumns(format) {
+    return EXPORT_FORMATS[format].columns.map(([key, header]) => ({ key, header }));
+}
+
+// One export row per log, with punches as "YYYY-MM-DD HH:MM" and the
+// hours and rate the shift is paid at. Shifts are listed by employee
+// and punch-in time.
+function buildShiftExportRows(logs, accounts, periodStates) {
+    return logs.slice()
+        .sort((a, b) => a.username.localeCompare(b.username) ||
+            toTimestamp(a.date, a.punchIn).localeCompare(toTimestamp(b.date, b.punchIn)))
+        .map(log => {
+            const outDate = log.punchOutDate ?? log.date;
+            const lastEdit = log.edits && log.edits.length ? log.edits[log.edits.length - 1] : null;
+            const rate = getRateForDate(accounts.find(a => a.username === log.username), log.date);
+            return {
+                username: log.username,
+                date: log.date,
+                punchIn: `${log.date} ${log.punchIn}`,
+                punchOutDate: outDate,
+                punchOut: `${outDate} ${log.punchOut}`,
+                roundedIn: (log.roundedIn || toTimestamp(log.date, log.punchIn)).replace('T', ' '),
+                roundedOut: (log.roundedOut || toTimestamp(outDate, log.punchOut)).replace('T', ' '),
+                breakMinutes: log.breakMinutes ?? 0,
+                autoDeduction: log.autoDeduction ?? 0,
+                deduction: log.deduction ?? 0,
+                hours: formatHours(log.minutesWorked),
+                rate: rate.toFixed(2),
+                payPeriodStart: log.payPeriodStart,
+                payPeriodEnd: log.payPeriodEnd,
+                periodStatus: periodStates[log.payPeriodStart]?.status || 'open',
+                source: log.generatedBy === 'system' ? 'system' : (log.edits && log.edits.length ? 'edited' : 'punched'),
+                lastEditReason: lastEdit ? lastEdit.reason : ''
+            };
+        });
+}
+
+// The shift rows and employee totals matching the export filters.
+// `period` is a pay period start, "latest" for the most recent period
+// with logs, or "" for all; `username` is an employee or "" for all.
+async function getExportData({ period = '', username = '' }) {
+    const logs = await Storage.getLogs();
+    if (period === 'latest') {
+        period = logs.reduce((latest, log) => (log.payPeriodStart > latest ? log.payPeriodStart : latest), '');
+        if (!period) return { period, shifts: [], totals: [] };
+    }
+    const shifts = buildShiftExportRows(logs, await Storage.getAccounts(), await Storage.getPeriodStates())
+        .filter(row => (!period || row.payPeriodStart === period) && (!username || row.username === username));
+    const totals = (await generateSummary())
+        .filter(row => (!period || row.period === period) && (!username || row.user === username));
+    return { period, shifts, totals };
+}
+
+// Build the file for an export profile as { content, filename, type },
+// or null when nothing matches its filters
+async function buildExportFile(profile) {
+    const { period, shifts, totals } = await getExportData(profile);
+    if (shifts.length === 0) return null;
+    const suffix = [period || 'all', profile.username].filter(Boolean).join('_');
+    if (profile.format === 'json') {
+        const content = {
+            exportedAt: new Date().toISOString(),
+            filters: { period, username: profile.username || '' },
+            shifts,
+            totals
+        };
+        return {
+            content: JSON.stringify(content, null, 2),
+            filename: `timekeeper_payroll_${suffix}.json`,
+            type: 'application/json;charset=utf-8;'
+        };
+    }
+    const rows = profile.format === 'totals' ? totals : shifts;
+    const columns = profile.columns && profile.columns.length ? profile.columns : getDefaultExportColumns(profile.format);
+    const csvRows = [columns.map(col => col.header)].concat(rows.map(row => columns.map(col => row[col.key])));
+    return {
+        content: toCsv(csvRows),
+        filename: `timekeeper_${profile.format}_${suffix}.csv`,
+        type: 'text/csv;charset=utf-8;'
+    };
+}
+
+// Offer the pay periods that have logs as export filters, newest first
+function refreshExportPeriods(logs) {
+    const select = document.getElementById('export-period');
+    const selected = select.value;
+    const periods = Array.from(new Set(logs.map(log => log.payPeriodStart))).sort().reverse();
+    select.innerHTML = '<option value="">All periods</option><option value="latest">Latest period</option>';
+    periods.forEach(period => {
+        const option = document.createElement('option');
+        option.value = period;
+        option.textContent = period;
+        select.appendChild(option);
+    });
+    if (selected) select.value = selected;
+}
+
+// Offer the employees as export filters
+function refreshExportEmployees(accounts) {
+    const select = document.getElementById('export-employee');
+    const selected = select.value;
+    select.innerHTML = '<option value="">All employees</option>';
+    accounts.filter(acc => acc.role === 'employee').forEach(acc => {
+        const option = document.createElement('option');
+        option.value = acc.username;
+        option.textContent = isAccountActive(acc) ? acc.username : `${acc.username} (deactivated)`;
+        select.appendChild(option);
+    });
+    if (selected) select.value = selected;
+}
+
+// List the saved export profiles, keeping the selected one if it still
+// exists
+async function refreshExportProfiles() {
+    const select = document.getElementById('export-profile');
+    const selected = select.value;
+    select.innerHTML = '<option value="">(unsaved)</option>';
+    (await Storage.getExportProfiles()).forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    });
+    select.value = selected;
+    if (select.value !== selected) select.value = '';
+}
+
+// Show the column mapping of a CSV format: the mapped columns first, in
+// order and ticked, followed by the format's other columns
+function renderExportColumns(format, columns) {
+    const tbody = document.querySelector('#export-columns-table tbody');
+    tbody.innerHTML = '';
+    const table = document.getElementById('export-columns-table');
+    if (format === 'json') {
+        hide(table);
+        return;
+    }
+    show(table);
+    const mapped = columns && columns.length ? columns : getDefaultExportColumns(format);
+    const labels = Object.fromEntries(EXPORT_FORMATS[format].columns);
+    const rows = mapped.filter(col => labels[col.key]).map(col => Object.assign({ included: true }, col))
+        .concat(EXPORT_FORMATS[format].columns
+            .filter(([key]) => !mapped.some(col => col.key === key))
+            .map(([key, header]) => ({ key, header, included: false })));
+    rows.forEach(col => {
+        const tr = document.createElement('tr');
+        tr.dataset.key = col.key;
+        tr.innerHTML = `
+            <td><input type="checkbox" class="export-column-included" ${col.included ? 'checked' : ''}></td>
+            <td>${escapeHtml(labels[col.key])}</td>
+            <td><input type="text" class="export-column-header" value="${escapeHtml(col.header)}"></td>
+            <td>
+                <button class="export-column-up">Up</button>
+                <button class="export-column-down">Down</button>
+            </td>
+        `;
+        tbody.appendChild(tr);
+    });
+    tbody.querySelectorAll('.export-column-up').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const tr = this.closest('tr');
+            if (tr.previousElementSibling) tbody.insertBefore(tr, tr.previousElementSibling);
+        });
+    });
+    tbody.querySelectorAll('.export-column-down').forEach(btn => {
+        btn.addEventListener('click', function() {
+            const tr = this.closest('tr');
+            if (tr.nextElementSibling) tbody.insertBefore(tr.nextElementSibling, tr);
+        });
+    });
+}
+
+// Fill the export form from a profile
+function applyExportProfile(profile) {
+    document.getElementById('export-profile-name').value = profile.name || '';
+    document.getElementById('export-format').value = profile.format;
+    document.getElementById('export-period').value = profile.period || '';
+    document.getElementById('export-employee').value = profile.username || '';
+    renderExportColumns(profile.format, profile.columns);
+}
+
+// Read the export form as a profile. Columns left with a blank header
+// use their default header. Returns null if no column is ticked.
+function readExportProfile() {
+    const format = document.getElementById('export-format').value;
+    const profile = {
+        name: document.getElementById('export-profile-name').value.trim(),
+        format,
+        period: document.getElementById('export-period').value,
+        username: document.getElementById('export-employee').value,
+        columns: []
+    };
+    if (format === 'json') return profile;
+    const labels = Object.fromEntries(EXPORT_FORMATS[format].columns);
+    document.querySelectorAll('#export-columns-table tbody tr').forEach(tr => {
+        if (!tr.querySelector('.export-column-included').checked) return;
+        const key = tr.dataset.key;
+        profile.columns.push({ key, header: tr.querySelector('.export-column-header').value.trim() || labels[key] });
+    });
+    return profile.columns.length ? profile : null;
+}
+
+// Download the export described by the form
+async function runExport() {
+    const message = document.getElementById('export-message');
+    const profile = readExportProfile();
+    if (!profile) {
+        message.textContent = 'Choose at least one column to export.';
+        return;
+    }
+    const file = await buildExportFile(profile);
+    if (!file) {
+        message.textContent = 'No shifts match these filters.';
+        return;
+    }
+    downloadFile(file.content, file.filename, file.type);
+    message.textContent = `Exported ${file.filename}.`;
+}
+
+/*
+ * Pay statements.
+ *
+ * A printable statement of one employee's shifts and pay for one pay
+ * period, opened by administrators from the summary table and by
+ * employees from their history. It uses the same figures as the
+ * exports: every shift from the logs and the employee's totals from
+ * generateSummary. The print stylesheet leaves out the rest of the
+ * page, so that it can also be saved as a PDF.
+ */
+
+// Render the pay statement of an employee for the pay period starting
+// on `period`. Returns false if they have no shifts in that period.
+async function renderPayStatement(username, period) {
+    const { shifts, totals } = await getExportData({ period, username });
+    if (shifts.length === 0 || totals.length === 0) return false;
+    const summary = totals[0];
+    const timeZone = getOrgTimeZone(await Storage.getPaySettings());
+    const rates = Array.from(new Set(shifts.map(shift => shift.rate)));
+    const shiftRows = shifts.map(shift => `
+        <tr>
+            <td>${shift.date}</td>
+            <td>${shift.punchIn.slice(11)}</td>
+            <td>${escapeHtml(formatRoundedPunch(shift.punchOut.replace(' ', 'T'), shift.date))}</td>
+            <td>${shift.breakMinutes}</td>
+            <td>${shift.autoDeduction + shift.deduction}</td>
+            <td>${shift.hours}</td>
+            <td>${shift.rate}</td>
+        </tr>
+    `).join('');
+    const payRows = [
+        ['Regular', summary.regularHours, summary.regularPay],
+        ['Overtime', summary.overtimeHours, summary.overtimePay],
+        ['Double time', summary.doubleHours, summary.doublePay]
+    ].filter(([label, hours]) => label === 'Regular' || Number(hours) > 0).map(([label, hours, pay]) => `
+        <tr>
+            <td>${label}</td>
+            <td>${hours}</td>
+            <td>${pay}</td>
+        </tr>
+    `).join('');
+    document.getElementById('statement-content').innerHTML = `
+        <h2>Pay Statement</h2>
+        <dl class="statement-details">
+            <dt>Employee</dt><dd>${escapeHtml(username)}</dd>
+            <dt>Pay period</dt><dd>${summary.period} – ${summary.periodEnd}</dd>
+            <dt>Status</dt><dd>${summary.status}</dd>
+            <dt>Rate ($/hr)</dt><dd>${rates.join(', ')}</dd>
+            <dt>Issued</dt><dd>${escapeHtml(formatInstant(new Date().toISOString(), timeZone))}</dd>
+        </dl>
+        ${summary.status === 'approved' ? '' : '<p class="info">This pay period has not been approved yet, so these figures may still change.</p>'}
+        <h3>Shifts</h3>
+        <table>
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Punch In</th>
+                    <th>Punch Out</th>
+                    <th>Breaks (min)</th>
+                    <th>Deductions (min)</th>
+                    <th>Hours</th>
+                    <th>Rate ($/hr)</th>
+                </tr>
+            </thead>
+            <tbody>${shiftRows}</tbody>
+        </table>
+        <h3>Totals</h3>
+        <table>
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Hours</th>
+                    <th>Pay ($)</th>
+                </tr>
+            </thead>
+            <tbody>${payRows}</tbody>
+            <tfoot>
+                <tr>
+                    <th>Gross pay</th>
+                    <th>${summary.totalHours}</th>
+                    <th>${summary.totalPay}</th>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+    return true;
+}
+
+// Show the pay statement of an employee for a pay period above the
+// current view
+async function openPayStatement(username, period) {
+    if (!(await renderPayStatement(username, period))) {
+        alert(`There are no shifts for '${username}' in the pay period starting ${period}.`);
+        return;
+    }
+    show(document.getElementById('statement-section'));
+    document.body.classList.add('statement-open');
+    window.scrollTo(0, 0);
+}
+
+// Hide the pay statement
+function closePayStatement() {
+    hide(document.getElementById('statement-section'));
+    document.body.classList.remove('statement-open');
+    document.getElementById('statement-content').innerHTML = '';
+}
+
+// Render the editable overtime rules table (admin view)
+function renderOvertimeRules(rules) {
+    const tbody = document.querySelector('#overtime-rules-table tbody');
+    tbody.innerHTML = '';
+    rules.forEach(rule => addOvertimeRuleRow(rule));
+}
+
+// Append one editable rule row to the overtime rules table
+function addOvertimeRuleRow(rule = { scope: 'daily', thresholdHours: 8, multiplier: 1.5 }) {
+    const tbody = document.querySelector('#overtime-rules-table tbody');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+        <td>
+            <select class="ot-scope">
+                <option value="daily"${rule.scope === 'daily' ? ' selected' : ''}>Per day</option>
+                <option value="weekly"${rule.scope === 'weekly' ? ' selected' : ''}>Per week</option>
+            </select>
+        </td>
+        <td><input type="number" class="ot-threshold" min="0" step="0.25" value="${rule.thresholdHours}" style="width:80px"></td>
+        <td><input type="number" class="ot-multiplier" min="1" step="0.25" value="${rule.multiplier}" style="width:80px"></td>
+        <td><button class="remove-ot-rule-btn">Remove</button></td>
+    `;
+    tr.querySelector('.remove-ot-rule-btn').addEventListener('click', () => tr.remove());
+    tbody.appendChild(tr);
+}
+
+// Read the overtime rules table. Returns null if any row is invalid.
+function readOvertimeRules() {
+    const rules = [];
+    let valid = true;
+    document.querySelectorAll('#overtime-rules-table tbody tr').forEach(tr => {
+        const scope = tr.querySelector('.ot-scope').value;
+        const thresholdHours = parseFloat(tr.querySelector('.ot-threshold').value);
+        const multiplier = parseFloat(tr.querySelector('.ot-multiplier').value);
+        if (isNaN(thresholdHours) || thresholdHours < 0 || isNaN(multiplier) || multiplier < 1) {
+            valid = false;
+            return;
+        }
+        rules.push({ scope, thresholdHours, multiplier });
+    });
+    return valid ? rules : null;
+}
+
+// Fill the employee dropdown of the roster editor, keeping the
+// selection, and show the selected employee's roster
+async function refreshRosterEditor(accounts) {
+    const select = document.getElementById('roster-employee');
+    const selected = select.value;
+    select.innerHTML = '';
+    accounts.filter(acc => acc.role === 'employee').forEach(acc => {
+        const option = document.createElement('option');
+        option.value = acc.username;
+        option.textContent = acc.username;
+        select.appendChild(option);
+    });
+    if (selected) select.value = selected;
+    await renderRoster();
+}
+
+// Show the selected employee's weekly roster as editable rows
+async function renderRoster() {
+    const username = document.getElementById('roster-employee').value;
+    const schedule = username ? (await Storage.getSchedules())[username] : null;
+    const tbody = document.querySelector('#roster-table tbody');
+    tbody.innerHTML = '';
+    WEEKDAY_NAMES.forEach((name, weekday) => {
+        const day = schedule ? schedule.days[weekday] : null;
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${name}</td>
+            <td><input type="time" class="roster-start" value="${day ? day.start : ''}"></td>
+            <td><input type="time" class="roster-end" value="${day ? day.end : ''}"></td>
+        `;
+        tbody.appendChild(tr);
+    });
+    document.getElementById('roster-message').textContent = '';
+}
+
+// Read the roster table into a schedule. Returns null if a day has only
+// one of its times or starts and ends at the same time.
+function readRoster() {
+    const days = [];
+    let valid = true;
+    document.querySelectorAll('#roster-table tbody tr').forEach(tr => {
+        const start = tr.querySelector('.roster-start').value;
+        const end = tr.querySelector('.roster-end').value;
+        if (!start && !end) {
+            days.push(null);
+        } else if (!start || !end || start === end) {
+            valid = false;
+        } else {
+            days.push({ start, end });
+        }
+    });
+    return valid ? { days } : null;
+}
+
+// Populate the attendance exceptions report (admin view). The date
+// filters default to the current pay period so far.
+async function refreshAttendanceReport() {
+    const tbody = document.querySelector('#attendance-table tbody');
+    const emptyEl = document.getElementById('attendance-empty');
+    const fromInput = document.getElementById('attendance-from');
+    const toInput = document.getElementById('attendance-to');
+    const settings = await Storage.getPaySettings();
+    const timeZone = getOrgTimeZone(settings);
+    const today = getZonedToday(timeZone);
+    if (!fromInput.value) fromInput.value = getPayPeriodForDate(today, settings).start;
+    if (!toInput.value) toInput.value = today;
+    // Deactivated employees are no longer expected to work their roster
+    const schedules = await Storage.getSchedules();
+    (await Storage.getAccounts()).filter(acc => !isAccountActive(acc)).forEach(acc => {
+        delete schedules[acc.username];
+    });
+    const exceptions = findAttendanceExceptions({
+        schedules,
+        logs: await Storage.getLogs(),
+        currentPunch: await Storage.getCurrentPunch(),
+        policy: settings.attendancePolicy,
+        from: fromInput.value,
+        to: toInput.value,
+        timeZone
+    });
+    tbody.innerHTML = '';
+    exceptions.forEach(item => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${item.date}</td>
+            <td>${escapeHtml(item.username)}</td>
+            <td>${item.scheduled}</td>
+            <td>${ATTENDANCE_EXCEPTION_LABELS[item.type]}</td>
+            <td>${escapeHtml(item.actual)}</td>
+            <td>${item.minutes || ''}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+    emptyEl.textContent = exceptions.length ? '' : 'No attendance exceptions in this date range.';
+}
+
+// Read the audit filter inputs and return the matching events, newest
+// first. The user filter matches both the actor and the user an event
+// is about (account, current punch or log owner).
+async function getFilteredAuditEvents() {
+    const user = document.getElementById('audit-filter-user').value.trim();
+    const entity = document.getElementById('audit-filter-entity').value;
+    const from = document.getElementById('audit-filter-from').value;
+    const to = document.getElementById('audit-filter-to').value;
+    const events = await Storage.getAuditEvents();
+    const timeZone = getOrgTimeZone(await Storage.getPaySettings());
+    return events.filter(ev => {
+        if (entity && ev.entity !== entity) return false;
+        if (user) {
+            const subject = ev.entity === 'log'
+                ? (ev.after?.username ?? ev.before?.username)
+                : (['paySettings', 'exportProfile'].includes(ev.entity) ? null : ev.entityId);
+            if (ev.actor !== user && subject !== user) return false;
+        }
+        const day = getZonedParts(new Date(ev.at), timeZone).date;
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        return true;
+    }).reverse();
+}
+
+// Summarise an audit event's before/after snapshots as a list of
+// "field: old → new" changes.
+function describeAuditChanges(before, after) {
+    if (!before || !after || Array.isArray(before) || typeof before !== 'object') {
+        return JSON.stringify(after ?? before);
+    }
+    const keys = new Set(Object.keys(before).concat(Object.keys(after)));
+    const changes = [];
+    keys.forEach(key => {
+        const oldValue = JSON.stringify(before[key]);
+        const newValue = JSON.stringify(after[key]);
+        if (oldValue !== newValue) changes.push(`${key}: ${oldValue ?? '—'} → ${newValue ?? '—'}`);
+    });
+    return changes.join('; ');
+}
+
+// Populate the audit table (admin view)
+async function refreshAuditTable() {
+    const tbody = document.querySelector('#audit-table tbody');
+    tbody.innerHTML = '';
+    const events = await getFilteredAuditEvents();
+    const timeZone = getOrgTimeZone(await Storage.getPaySettings());
+    events.forEach(ev => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${escapeHtml(formatInstant(ev.at, timeZone))}</td>
+            <td>${escapeHtml(ev.actor)}</td>
+            <td>${escapeHtml(ev.action)}</td>
+            <td>${escapeHtml(ev.entity)}</td>
+            <td>${escapeHtml(ev.entityId)}</td>
+            <td class="audit-changes">${escapeHtml(describeAuditChanges(ev.before, ev.after))}</td>
+            <td>${escapeHtml(ev.reason)}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
+
+// Export the filtered audit events, with full before/after snapshots
+async function exportAudit() {
+    const events = await getFilteredAuditEvents();
+    if (events.length === 0) {
+        alert('No audit events to export.');
+        return;
+    }
+    const rows = [['Timestamp', 'User', 'Action', 'Entity', 'Entity ID', 'Reason', 'Before', 'After']];
+    events.forEach(ev => {
+        rows.push([ev.at, ev.actor, ev.action, ev.entity, ev.entityId, ev.reason,
+            JSON.stringify(ev.before), JSON.stringify(ev.after)]);
+    });
+    downloadFile(toCsv(rows), 'timekeeper_audit.csv', 'text/csv;charset=utf-8;');
+}
+
+/*
+ * Data backup.
+ *
+ * Administrators can download all data as a backup bundle, restore a
+ * bundle into the current backend, or copy everything to another
+ * backend, e.g. when moving a kiosk from localStorage to Firestore.
+ */
+
+// Download all data as a JSON backup bundle
+async function exportAllData() {
+    const bundle = await Storage.exportData();
+    downloadFile(JSON.stringify(bundle, null, 2), `timekeeper_backup_${bundle.exportedAt.slice(0, 10)}.json`,
+        'application/json;charset=utf-8;');
+}
+
+// Describe per-collection document counts, e.g. "2 accounts, 14 logs, …"
+function describeBackupCounts(counts) {
+    return BACKUP_COLLECTIONS.map(collection => `${counts[collection] || 0} ${collection}`).join(', ');
+}
+
+// Validate the chosen backup file and, once confirmed, restore it.
+// Returns true if data was imported.
+async function importAllData() {
+    const messageEl = document.getElementById('backup-message');
+    const errorEl = document.getElementById('backup-error');
+    const file = document.getElementById('backup-file').files[0];
+    const mode = document.getElementById('backup-mode').value;
+    messageEl.textContent = '';
+    errorEl.textContent = '';
+    if (!file) {
+        errorEl.textContent = 'Please choose a backup file.';
+        return false;
+    }
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch (e) {
+        errorEl.textContent = 'This file is not valid JSON.';
+        return false;
+    }
+    const errors = validateBackup(bundle, mode);
+    if (errors.length) {
+        errorEl.innerHTML = errors.map(escapeHtml).join('<br>');
+        return false;
+    }
+    const counts = {};
+    BACKUP_COLLECTIONS.forEach(collection => { counts[collection] = (bundle.collections[collection] || []).length; });
+    const action = mode === 'replace' ? 'Replace all existing data with' : 'Merge existing data with';
+    if (!confirm(`${action} the backup from ${new Date(bundle.exportedAt).toLocaleString()} (${describeBackupCounts(counts)})?`)) {
+        return false;
+    }
+    try {
+        await Storage.importData(bundle, mode);
+    } catch (e) {
+        errorEl.textContent = e.message;
+        return false;
+    }
+    messageEl.textContent = `Imported ${describeBackupCounts(counts)}.`;
+    return true;
+}
+
+// Copy all data to the backend chosen in the backup card
+async function copyAllData() {
+    const messageEl = document.getElementById('backup-message');
+    const errorEl = document.getElementById('backup-error');
+    const target = document.getElementById('backup-copy-target').value;
+    const mode = document.getElementById('backup-mode').value;
+    messageEl.textContent = '';
+    errorEl.textContent = '';
+    const action = mode === 'replace' ? 'replacing everything already there' : 'merging with what is already there';
+    if (!confirm(`Copy all data to the ${target} backend, ${action}?`)) return;
+    try {
+        const counts = await Storage.copyTo(Object.assign({}, window.timekeeperConfig, { backend: target }), mode);
+        messageEl.textContent = `Copied ${describeBackupCounts(counts)} to the ${target} backend. ` +
+            `Set backend to "${target}" in config.js to start using it.`;
+    } catch (e) {
+        errorEl.textContent = `Copy failed: ${e.message}`;
+    }
+}
+
+/*
+ * CSV import.
+ *
+ * Administrators can create accounts and back-fill shifts from CSV
+ * files, e.g. when moving from another system. The file is first
+ * checked row by row and previewed; only the rows without errors are
+ * then saved through Storage. Imported logs are calculated the same way
+ * as punched shifts (rounding, breaks and pay period) and record the
+ * import as their edit reason.
+ */
+
+// The columns of each import type, as field -> accepted headers
+// (compared ignoring case, spaces, dashes and underscores), and the
+// fields that must be present
+const IMPORT_TYPES = {
+    accounts: {
+        columns: {
+            username: ['username', 'user', 'employee'],
+            rate: ['rate', 'hourlyrate'],
+            role: ['role'],
+            password: ['password']
+        },
+        required: ['username']
+    },
+    logs: {
+        columns: {
+            username: ['username', 'user', 'employee'],
+            date: ['date', 'shiftdate', 'punchindate'],
+            punchIn: ['punchin', 'in', 'start'],
+            punchOutDate: ['punchoutdate', 'outdate'],
+            punchOut: ['punchout', 'out', 'end'],
+            deduction: ['deduction', 'deductionminutes']
+        },
+        required: ['username', 'date', 'punchIn', 'punchOut']
+    }
+};
+
+// Read an import file's header and return its rows as
+// { line, values: { field: text } }, or { error } if a required column
+// is missing
+function readImportRows(type, text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { error: 'The file is empty.' };
+    const normalise = name => name.toLowerCase().replace(/[\s_-]/g, '');
+    const { columns, required } = IMPORT_TYPES[type];
+    const positions = {};
+    header.forEach((name, index) => {
+        const field = Object.keys(columns).find(f => columns[f].includes(normalise(name)));
+        if (field && !(field in positions)) positions[field] = index;
+    });
+    const missing = required.filter(field => !(field in positions));
+    if (missing.length) {
+        const names = missing.map(field => field.replace(/[A-Z]/g, c => ' ' + c.toLowerCase()));
+        return { error: `The file has no ${names.join(', ')} column${names.length > 1 ? 's' : ''}.` };
+    }
+    return {
+        rows: rows
+            .map((cells, index) => ({
+                line: index + 2,
+                values: Object.fromEntries(Object.keys(columns).map(f => [f, (cells[positions[f]] ?? '').trim()]))
+            }))
+            .filter(row => Object.values(row.values).some(Boolean))
+    };
+}
+
+// Parse a YYYY-MM-DD date, or return null if it is not a real date
+function parseImportDate(text) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) && addDays(text, 0) === text ? text : null;
+}
+// Parse an H:MM or HH:MM time as HH:MM, or return null
+function parseImportTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return match[1].padStart(2, '0') + ':' + match[2];
+}
+
+// Check imported account rows. Returns { line, record, errors } for
+// each row, where `record` is the account to create. Employees need a
+// rate. Accounts without a password get a temporary one that must be
+// changed at first login.
+function validateAccountImport(rows, accounts) {
+    const seen = new Set();
+    return rows.map(({ line, values }) => {
+        const errors = [];
+        const { username, password } = values;
+        const role = (values.role || 'employee').toLowerCase();
+        const rate = values.rate === '' ? null : Number(values.rate);
+        if (!username) {
+            errors.push('No username.');
+        } else if (!isValidUsername(username)) {
+            errors.push('Usernames may only contain letters, digits, dots, dashes and underscores (up to 32).');
+        } else if (accounts.some(acc => acc.username === username)) {
+            errors.push(`'${username}' already exists.`);
+        } else if (seen.has(username)) {
+            errors.push(`'${username}' appears more than once in the file.`);
+        }
+        seen.add(username);
+        if (!['employee', 'admin'].includes(role)) errors.push(`Unknown role "${values.role}".`);
+        if (rate === null ? role === 'employee' : (isNaN(rate) || rate < 0)) {
+            errors.push(rate === null ? 'Employees need an hourly rate.' : `"${values.rate}" is not a valid rate.`);
+        }
+        const record = { username, role, password: password || randomHex(4), mustChangePassword: !password };
+        if (rate !== null && !isNaN(rate)) record.rateHistory = [{ effectiveFrom: null, rate }];
+        return { line, record, generatedPassword: password ? '' : record.password, errors };
+    });
+}
+
+// Check imported log rows against the accounts, the existing logs and
+// the approved pay periods. Returns { line, record, errors } for each
+// row, where `record` is the log to add. Without a punch-out date, a
+// punch-out earlier than the punch-in is taken to be on the next day.
+function validateLogImport(rows, { accounts, logs, settings, periodStates }) {
+    const shifts = logs.map(log => ({
+        username: log.username,
+        start: toTimestamp(log.date, log.punchIn),
+        end: toTimestamp(log.punchOutDate ?? log.date, log.punchOut),
+        line: null
+    }));
+    const timeZone = getOrgTimeZone(settings);
+    return rows.map(({ line, values }) => {
+        const errors = [];
+        const { username } = values;
+        const date = parseImportDate(values.date);
+        const punchIn = parseImportTime(values.punchIn);
+        const punchOut = parseImportTime(values.punchOut);
+        const deduction = values.deduction === '' ? 0 : Number(values.deduction);
+        if (!accounts.some(acc => acc.username === username && acc.role === 'employee')) {
+            errors.push(username ? `Unknown employee '${username}'.` : 'No username.');
+        }
+        if (!date) errors.push(`"${values.date}" is not a valid date (YYYY-MM-DD).`);
+        if (!punchIn) errors.push(`"${values.punchIn}" is not a valid punch-in time (HH:MM).`);
+        if (!punchOut) errors.push(`"${values.punchOut}" is not a valid punch-out time (HH:MM).`);
+        if (!Number.isInteger(deduction) || deduction < 0) errors.push(`"${values.deduction}" is not a valid deduction.`);
+        let punchOutDate = values.punchOutDate ? parseImportDate(values.punchOutDate) : null;
+        if (values.punchOutDate && !punchOutDate) errors.push(`"${values.punchOutDate}" is not a valid punch-out date.`);
+        if (errors.length) return { line, record: null, errors };
+        if (!punchOutDate) punchOutDate = punchOut < punchIn ? addDays(date, 1) : date;
+        const start = toTimestamp(date, punchIn);
+        const end = toTimestamp(punchOutDate, punchOut);
+        if (end <= start) errors.push('Punch out must be after punch in.');
+        const clash = shifts.find(s => s.username === username && s.start < end && start < s.end);
+        if (clash) {
+            errors.push(clash.line ? `Overlaps the shift on line ${clash.line}.`
+                : (clash.start === start ? 'This shift already exists.' : 'Overlaps an existing shift.'));
+        }
+        const period = getPayPeriodForDate(date, settings);
+        if (periodStates[period.start]?.status === 'approved') {
+            errors.push(`Pay period ${period.start} is approved and locked.`);
+        }
+        if (errors.length) return { line, record: null, errors };
+        shifts.push({ username, start, end, line });
+        const { roundedIn, roundedOut } = roundShiftPunches(start, end, settings.roundingPolicy);
+        const { minutesWorked, breakMinutes, autoDeduction } = computeShiftMinutes(
+            roundedIn, roundedOut, [], deduction, settings.breakPolicy, timeZone
+        );
+        const record = {
+            username,
+            date,
+            punchIn,
+            punchOutDate,
+            punchOut,
+            roundedIn,
+            roundedOut,
+            deduction,
+            breaks: [],
+            breakMinutes,
+            autoDeduction,
+            minutesWorked,
+            payPeriodStart: period.start,
+            payPeriodEnd: period.end
+        };
+        return { line, record, errors };
+    });
+}
+
+// Read and check the chosen import file. Returns { type, filename,
+// items } (see validateAccountImport and validateLogImport), or
+// { error }.
+async function previewImport() {
+    const type = document.getElementById('import-type').value;
+    const file = document.getElementById('import-file').files[0];
+    if (!file) return { error: 'Please choose a CSV file.' };
+    const { rows, error } = readImportRows(type, await file.text());
+    if (error) return { error };
+    if (rows.length === 0) return { error: 'The file has no rows to import.' };
+    const accounts = await Storage.getAccounts();
+    const items = type === 'accounts'
+        ? validateAccountImport(rows, accounts)
+        : validateLogImport(rows, {
+            accounts,
+            logs: await Storage.getLogs(),
+            settings: await Storage.getPaySettings(),
+            periodStates: await Storage.getPeriodStates()
+        });
+    return { type, filename: file.name, items };
+}
+
+// Show a checked import: one row per line of the file with what will
+// be saved, or why it will be skipped
+function renderImportPreview({ type, items }) {
+    const tbody = document.querySelector('#import-preview-table tbody');
+    tbody.innerHTML = '';
+    items.forEach(item => {
+        let details = '';
+        if (item.errors.length === 0 && type === 'accounts') {
+            const rate = item.record.rateHistory ? ` at $${item.record.rateHistory[0].rate}/hr` : '';
+            details = `${item.record.username} (${item.record.role})${rate}` +
+                (item.generatedPassword ? `, temporary password ${item.generatedPassword}` : '');
+        } else if (item.errors.length === 0) {
+            const { record } = item;
+            details = `${record.username}: ${record.date} ${record.punchIn} – ` +
+                `${formatRoundedPunch(toTimestamp(record.punchOutDate, record.punchOut), record.date)}, ` +
+                `${formatHours(record.minutesWorked)} h, pay period ${record.payPeriodStart}`;
+        }
+        const tr = document.createElement('tr');
+        if (item.errors.length) tr.className = 'import-error';
+        tr.innerHTML = `
+            <td>${item.line}</td>
+            <td>${item.errors.length ? 'Skipped' : 'OK'}</td>
+            <td>${escapeHtml(details || item.errors.join(' '))}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+    show(document.getElementById('import-preview-table'));
+}
+
+// Save the valid rows of a checked import. Accounts are only ever
+// created, so one added since the preview is not overwritten. Returns
+// the number saved; if saving fails part way, the error says how many
+// rows were saved.
+async function commitImport({ type, filename, items }, actor) {
+    const valid = items.filter(item => item.errors.length === 0);
+    let saved = 0;
+    for (const { line, record } of valid) {
+        try {
+            if (type === 'accounts') {
+                await Storage.createAccount(Object.assign({}, record));
+            } else {
+                await Storage.addLog(Object.assign({}, record, {
+                    edits: [{ by: actor, at: new Date().toISOString(), reason: `Imported from ${filename}` }]
+                }));
+            }
+        } catch (e) {
+            throw new Error(`Line ${line}: ${e.message} ${saved} of ${valid.length} rows were saved.`);
+        }
+        saved++;
+    }
+    return saved;
+}
+
+/*
+ * Offline app shell.
+ *
+ * sw.js caches the app so that it can be installed and opened without
+ * a network. A new version of the worker installs in the background and
+ * waits; the user is then offered to reload into it, so a half-finished
+ * form is never lost to an unexpected refresh.
+ */
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    const banner = document.getElementById('update-banner');
+    let waitingWorker = null;
+    let reloadRequested = false;
+    function offerUpdate(worker) {
+        waitingWorker = worker;
+        show(banner);
+    }
+    document.getElementById('update-reload-button').addEventListener('click', () => {
+        if (!waitingWorker) return;
+        reloadRequested = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    // Fires when the new version takes over. Without a requested reload
+    // this is the very first install claiming the page, which needs none.
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!reloadRequested) return;
+        reloadRequested = false;
+        window.location.reload();
+    });
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+        // Pages such as a kiosk stay open for days; look for new versions hourly
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }).catch(err => {
+        console.warn('Service worker registration failed:', err);
+    });
+}
+
+/*
+ * Timesheets.
+ *
+ * Employees review the shifts of a pay period, optionally comment on
+ * (flag) individual shifts and submit the timesheet. Administrators then
+ * approve or reject it with a comment from the approvals queue; a
+ * rejected timesheet can be corrected and submitted again.
+ */
+
+// Fill the employee's pay period selector with the current period and
+// every period they have shifts in, newest first.
+async function refreshTimesheetPeriods(username) {
+    const select = document.getElementById('timesheet-period');
+    const selected = select.value;
+    const settings = await Storage.getPaySettings();
+    const logs = (await Storage.getLogs()).filter(log => log.username === username);
+    const current = getPayPeriodForDate(getZonedToday(getOrgTimeZone(settings)), settings);
+    const periods = { [current.start]: current.end };
+    logs.forEach(log => { periods[log.payPeriodStart] = getLogPayPeriodEnd(log, settings); });
+    select.innerHTML = '';
+    Object.keys(periods).sort().reverse().forEach(start => {
+        const option = document.createElement('option');
+        option.value = start;
+        option.dataset.end = periods[start];
+        option.textContent = `${start} – ${periods[start]}${start === current.start ? ' (current)' : ''}`;
+        select.appendChild(option);
+    });
+    select.value = selected && periods[selected] ? selected : current.start;
+    await refreshTimesheetTable(username);
+    await refreshTimesheetNotice(username);
+}
+
+// Render the shifts and status of the selected timesheet period
+async function refreshTimesheetTable(username) {
+    const select = document.getElementById('timesheet-period');
+    const periodStart = select.value;
+    const tbody = document.querySelector('#timesheet-table tbody');
+    const statusEl = document.getElementById('timesheet-status');
+    const commentInput = document.getElementById('timesheet-comment');
+    const submitBtn = document.getElementById('submit-timesheet-button');
+    document.getElementById('timesheet-message').textContent = '';
+    tbody.innerHTML = '';
+    const logs = (await Storage.getLogs())
+        .filter(log => log.username === username && log.payPeriodStart === periodStart);
+    const timesheet = (await Storage.getTimesheets())
+        .find(t => t.username === username && t.periodStart === periodStart);
+    // Only a timesheet that has not been submitted, or was rejected,
+    // can be changed.
+    const editable = !timesheet || timesheet.status === 'rejected';
+    const flags = timesheet?.flags || {};
+    let totalMinutes = 0;
+    logs.forEach(log => {
+        const key = getLogPunchInStamp(log);
+        totalMinutes += log.minutesWorked;
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${log.date}</td>
+            <td>${log.punchIn}</td>
+            <td>${log.punchOutDate ?? log.date}</td>
+            <td>${log.punchOut}</td>
+            <td>${formatHours(log.minutesWorked)}</td>
+            <td><input type="text" class="timesheet-flag" data-key="${key}" value="${escapeHtml(flags[key] || '')}"
+                placeholder="Anything wrong?"${editable ? '' : ' disabled'}></td>
+        `;
+        tbody.appendChild(tr);
+    });
+    document.getElementById('timesheet-total').textContent = formatHours(totalMinutes);
+    commentInput.value = timesheet?.comment || '';
+    commentInput.disabled = !editable;
+    submitBtn.disabled = !editable || logs.length === 0;
+    if (!timesheet) {
+        statusEl.textContent = logs.length ? 'Not submitted yet.' : 'No shifts recorded in this pay period.';
+    } else if (timesheet.status === 'submitted') {
+        const timeZone = getOrgTimeZone(await Storage.getPaySettings());
+        const submittedOn = getZonedParts(new Date(timesheet.submittedAt), timeZone).date;
+        statusEl.textContent = `Submitted on ${submittedOn} – awaiting approval.`;
+    } else {
+        const comment = timesheet.reviewComment ? `: "${timesheet.reviewComment}"` : '.';
+        statusEl.textContent = timesheet.status === 'approved'
+            ? `Approved by ${timesheet.reviewedBy}${comment}`
+            : `Rejected by ${timesheet.reviewedBy}${comment} Please review and submit again.`;
+    }
+}
+
+// Show the outcome of the employee's most recently reviewed timesheet
+async function refreshTimesheetNotice(username) {
+    const notice = document.getElementById('timesheet-notice');
+    const reviewed = (await Storage.getTimesheets())
+        .filter(t => t.username === username && t.reviewedAt)
+        .sort((a, b) => b.reviewedAt.localeCompare(a.reviewedAt));
+    if (reviewed.length === 0) {
+        notice.textContent = '';
+        return;
+    }
+    const latest = reviewed[0];
+    notice.textContent = `Your timesheet for ${latest.periodStart} – ${latest.periodEnd} was ${latest.status}` +
+        (latest.reviewComment ? `: "${latest.reviewComment}"` : '.');
+}
+
+// Submit the selected timesheet with the employee's flags and comment
+async function submitTimesheet(username) {
+    const select = document.getElementById('timesheet-period');
+    const option = select.options[select.selectedIndex];
+    if (!option) return;
+    const flags = {};
+    document.querySelectorAll('#timesheet-table .timesheet-flag').forEach(input => {
+        const comment = input.value.trim();
+        if (comment) flags[input.dataset.key] = comment;
+    });
+    await Storage.saveTimesheet({
+        username,
+        periodStart: option.value,
+        periodEnd: option.dataset.end,
+        status: 'submitted',
+        flags,
+        comment: document.getElementById('timesheet-comment').value.trim(),
+        submittedAt: new Date().toISOString(),
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewComment: ''
+    });
+    await refreshTimesheetTable(username);
+    document.getElementById('timesheet-message').textContent = 'Timesheet submitted.';
+}
+
+// Populate the administrator's queue of submitted timesheets
+async function refreshTimesheetQueue() {
+    const tbody = document.querySelector('#timesheet-queue-table tbody');
+    tbody.innerHTML = '';
+    const timesheets = (await Storage.getTimesheets()).filter(t => t.status === 'submitted');
+    const logs = await Storage.getLogs();
+    document.getElementById('timesheet-queue-empty').textContent =
+        timesheets.length ? '' : 'No timesheets are waiting for approval.';
+    timesheets.forEach(t => {
+        const minutes = logs
+            .filter(log => log.username === t.username && log.payPeriodStart === t.periodStart)
+            .reduce((total, log) => total + log.minutesWorked, 0);
+        const flags = Object.keys(t.flags || {}).map(key => `${key.replace('T', ' ')}: ${t.flags[key]}`);
+        const id = getTimesheetId(t.username, t.periodStart);
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${escapeHtml(t.username)}</td>
+            <td>${t.periodStart} – ${t.periodEnd}</td>
+            <td>${formatHours(minutes)}</td>
+            <td>${flags.map(escapeHtml).join('<br>')}</td>
+            <td>${escapeHtml(t.comment)}</td>
+            <td><input type="text" class="review-comment" data-id="${escapeHtml(id)}" placeholder="Comment"></td>
+            <td>
+                <button class="review-btn" data-id="${escapeHtml(id)}" data-status="approved">Approve</button>
+                <button class="review-btn" data-id="${escapeHtml(id)}" data-status="rejected">Reject</button>
+            </td>
+        `;
+        tbody.appendChild(tr);
+    });
+    tbody.querySelectorAll('.review-btn').forEach(btn => {
+        btn.addEventListener('click', async function() {
+            const { id, status } = this.dataset;
+            const timesheet = timesheets.find(t => getTimesheetId(t.username, t.periodStart) === id);
+            const comment = Array.from(tbody.querySelectorAll('.review-comment'))
+                .find(input => input.dataset.id === id).value.trim();
+            if (status === 'rejected' && !comment) {
+                alert('Please add a comment explaining why the timesheet is rejected.');
+                return;
+            }
+            await Storage.saveTimesheet(Object.assign({}, timesheet, {
+                status,
+                reviewedBy: Storage.actor,
+                reviewedAt: new Date().toISOString(),
+                reviewComment: comment
+            }));
+            refreshTimesheetQueue();
+            refreshAuditTable();
+        });
+    });
+}
+
 // Populate an employee's history table. This function retrieves
 // all logs from storage asynchronously, filters them for the
 // specified username and then renders a row for each entry. The
@@ -547,16 +4338,28 @@ function refreshHistoryTable(username) {
     const tbody = document.querySelector('#history-table tbody');
     tbody.innerHTML = '';
     (async () => {
-        const logs = await Storage.getLogs();
-        logs.filter(log => log.username === username).forEach(log => {
+        const logs = (await Storage.getLogs()).filter(log => log.username === username);
+        // Pay statements are offered for each period with shifts
+        const select = document.getElementById('statement-period');
+        select.innerHTML = '';
+        Array.from(new Set(logs.map(log => log.payPeriodStart))).sort().reverse().forEach(period => {
+            const option = document.createElement('option');
+            option.value = period;
+            option.textContent = period;
+            select.appendChild(option);
+        });
+        document.getElementById('view-statement-button').disabled = logs.length === 0;
+        logs.forEach(log => {
             const deduction = log.deduction ?? 0;
             const tr = document.createElement('tr');
             tr.innerHTML = `
                 <td>${log.date}</td>
                 <td>${log.punchIn}</td>
+                <td>${log.punchOutDate ?? log.date}</td>
                 <td>${log.punchOut}</td>
                 <td>${formatHours(log.minutesWorked)}</td>
                 <td>${log.payPeriodStart}</td>
+                <td>${escapeHtml(formatBreaks(log))}</td>
                 <td>${deduction}</td>
             `;
             tbody.appendChild(tr);
@@ -566,12 +4369,45 @@ function refreshHistoryTable(username) {
 
 // DOMContentLoaded – start everything
 document.addEventListener('DOMContentLoaded', () => {
+    registerServiceWorker();
     // Initialise storage before any operations. We wrap in an
     // immediately invoked async function because DOMContentLoaded
     // handlers cannot be declared async directly.
     (async () => {
         await Storage.init();
-        await Storage.initDefaults();
+        // An unreachable backend must not keep the app from starting:
+        // the defaults are created once it can be reached again, and
+        // the kiosk and signed-in sessions work from the offline cache.
+        try {
+            await Storage.initDefaults();
+        } catch (e) {
+            if (!isOfflineError(e)) throw e;
+            console.warn('Could not create the default account and settings:', e);
+        }
+        // Deal with punches left open before anyone sees them
+        try {
+            await handleStalePunches();
+        } catch (e) {
+            console.warn('Could not check for forgotten punch-outs:', e);
+        }
+        try {
+            await refreshOfflineCache();
+        } catch (e) {
+            console.warn('Could not cache data for offline use:', e);
+        }
+        // A kiosk device never resumes a signed-in session
+        if (Kiosk.isEnabled()) {
+            Session.clear();
+            loadKioskView();
+        } else {
+            try {
+                await restoreSession();
+            } catch (e) {
+                if (!isOfflineError(e)) throw e;
+                console.warn('Could not restore the signed-in session:', e);
+            }
+        }
+        syncPunchQueue();
     })();
     // Grab references to DOM elements
     const loginSection = document.getElementById('login-section');
@@ -582,36 +4418,157 @@ document.addEventListener('DOMContentLoaded', () => {
     const loginUsername = document.getElementById('login-username');
     const loginPassword = document.getElementById('login-password');
     const loginRole = document.getElementById('login-role');
+    const changePasswordSection = document.getElementById('change-password-section');
+    const newPasswordInput = document.getElementById('new-password');
+    const confirmPasswordInput = document.getElementById('confirm-password');
+    const changePasswordBtn = document.getElementById('change-password-button');
+    const changePasswordError = document.getElementById('change-password-error');
+    const kioskLoginNote = document.getElementById('kiosk-login-note');
+    const kioskReturnBtn = document.getElementById('kiosk-return-button');
+
+    // Kiosk view elements
+    const kioskSection = document.getElementById('kiosk-section');
+    const kioskPinDisplay = document.getElementById('kiosk-pin-display');
+    const kioskMessage = document.getElementById('kiosk-message');
+    const kioskQueueStatus = document.getElementById('kiosk-queue-status');
+    const kioskExitBtn = document.getElementById('kiosk-exit-button');
 
     // Employee view elements
     const employeeWelcome = document.getElementById('employee-welcome');
     const shiftInfo = document.getElementById('shift-info');
     const punchInBtn = document.getElementById('punch-in-button');
     const punchOutBtn = document.getElementById('punch-out-button');
+    const breakStartBtn = document.getElementById('break-start-button');
+    const breakEndBtn = document.getElementById('break-end-button');
     const punchMessage = document.getElementById('punch-message');
+    const punchQueueStatus = document.getElementById('punch-queue-status');
     const viewHistoryBtn = document.getElementById('view-history-button');
+    const statementPeriodSelect = document.getElementById('statement-period');
+    const viewStatementBtn = document.getElementById('view-statement-button');
+    const printStatementBtn = document.getElementById('print-statement-button');
+    const closeStatementBtn = document.getElementById('close-statement-button');
     const historySection = document.getElementById('history-section');
     const employeeLogoutBtn = document.getElementById('employee-logout-button');
+    const timesheetPeriodSelect = document.getElementById('timesheet-period');
+    const submitTimesheetBtn = document.getElementById('submit-timesheet-button');
 
     // Admin view elements
     const adminLogoutBtn = document.getElementById('admin-logout-button');
+    const startKioskBtn = document.getElementById('start-kiosk-button');
     const addEmployeeBtn = document.getElementById('add-employee-button');
     const addEmployeeError = document.getElementById('add-employee-error');
     const newEmpUsername = document.getElementById('new-emp-username');
     const newEmpPassword = document.getElementById('new-emp-password');
     const newEmpRate = document.getElementById('new-emp-rate');
-    // Shift start/end inputs have been removed; employees determine their
-    // shift boundaries by punching in and out. The variables below are
-    // placeholders to avoid reference errors in older code.
-    const newEmpShiftStart = null;
-    const newEmpShiftEnd = null;
+    const newEmpPin = document.getElementById('new-emp-pin');
+    const saveEmployeeBtn = document.getElementById('save-employee-button');
+    const cancelEmployeeBtn = document.getElementById('cancel-employee-button');
+    const addRateBtn = document.getElementById('add-rate-button');
+    const saveRatesBtn = document.getElementById('save-rates-button');
+    const closeRatesBtn = document.getElementById('close-rates-button');
+    const rosterEmployeeSelect = document.getElementById('roster-employee');
+    const saveRosterBtn = document.getElementById('save-roster-button');
+    const rosterMessage = document.getElementById('roster-message');
+    const payPeriodTypeInput = document.getElementById('pay-period-type');
     const payPeriodDaysInput = document.getElementById('pay-period-days');
+    const payPeriodAnchorInput = document.getElementById('pay-period-anchor');
+    const payPeriodDaysRow = document.getElementById('pay-period-days-row');
+    const payPeriodAnchorRow = document.getElementById('pay-period-anchor-row');
+    const timeZoneInput = document.getElementById('org-time-zone');
+    const timeZoneOptions = document.getElementById('time-zone-options');
     const savePayPeriodBtn = document.getElementById('save-pay-period');
     const payPeriodMessage = document.getElementById('pay-period-message');
+    const addOvertimeRuleBtn = document.getElementById('add-overtime-rule-button');
+    const saveOvertimeRulesBtn = document.getElementById('save-overtime-rules');
+    const workweekStartDayInput = document.getElementById('workweek-start-day');
+    const overtimeRulesMessage = document.getElementById('overtime-rules-message');
+    const autoMealInput = document.getElementById('auto-meal-enabled');
+    const autoMealAfterInput = document.getElementById('auto-meal-after-hours');
+    const autoMealMinutesInput = document.getElementById('auto-meal-minutes');
+    const saveBreakPolicyBtn = document.getElementById('save-break-policy');
+    const breakPolicyMessage = document.getElementById('break-policy-message');
+    const roundingIncrementInput = document.getElementById('rounding-increment');
+    const roundingDirectionInput = document.getElementById('rounding-direction');
+    const roundingApplyToInput = document.getElementById('rounding-apply-to');
+    const saveRoundingPolicyBtn = document.getElementById('save-rounding-policy');
+    const roundingPolicyMessage = document.getElementById('rounding-policy-message');
+    const stalePunchActionInput = document.getElementById('stale-punch-action');
+    const maxShiftHoursInput = document.getElementById('max-shift-hours');
+    const saveStalePunchPolicyBtn = document.getElementById('save-stale-punch-policy');
+    const stalePunchPolicyMessage = document.getElementById('stale-punch-policy-message');
+    const lateGraceInput = document.getElementById('late-grace-minutes');
+    const earlyLeaveGraceInput = document.getElementById('early-leave-grace-minutes');
+    const missedPunchGraceInput = document.getElementById('missed-punch-grace-minutes');
+    const saveAttendancePolicyBtn = document.getElementById('save-attendance-policy');
+    const attendancePolicyMessage = document.getElementById('attendance-policy-message');
+    const attendanceReportBtn = document.getElementById('attendance-report-button');
     const generateSummaryBtn = document.getElementById('generate-summary-button');
     const exportSummaryBtn = document.getElementById('export-summary-button');
+    const exportProfileSelect = document.getElementById('export-profile');
+    const exportProfileNameInput = document.getElementById('export-profile-name');
+    const exportFormatInput = document.getElementById('export-format');
+    const exportDownloadBtn = document.getElementById('export-download-button');
+    const saveExportProfileBtn = document.getElementById('save-export-profile');
+    const deleteExportProfileBtn = document.getElementById('delete-export-profile');
+    const exportMessage = document.getElementById('export-message');
+    const logEditSaveBtn = document.getElementById('log-edit-save-button');
+    const logEditCancelBtn = document.getElementById('log-edit-cancel-button');
+    const auditFilterBtn = document.getElementById('audit-filter-button');
+    const auditExportBtn = document.getElementById('audit-export-button');
+    const backupExportBtn = document.getElementById('backup-export-button');
+    const backupImportBtn = document.getElementById('backup-import-button');
+    const backupCopyBtn = document.getElementById('backup-copy-button');
+    const importTypeInput = document.getElementById('import-type');
+    const importFileInput = document.getElementById('import-file');
+    const importPreviewBtn = document.getElementById('import-preview-button');
+    const importCommitBtn = document.getElementById('import-commit-button');
+    const importCancelBtn = document.getElementById('import-cancel-button');
+    const importMessage = document.getElementById('import-message');
+    const importError = document.getElementById('import-error');
 
     let currentUser = null;
+    // Account that has authenticated but must change its password
+    // before a session is started.
+    let pendingAccount = null;
+    // PIN being typed on the kiosk keypad, and the timer that clears the
+    // confirmation of the last punch
+    let kioskPin = '';
+    let kioskResetTimer = null;
+    // The signed-in employee's current punch as last read from storage.
+    // Punches queued while offline are shown on top of it.
+    let storedPunch = null;
+    // Stops the admin dashboard's live updates, and the timer that moves
+    // its elapsed times on (see startLiveUpdates)
+    let stopWatching = null;
+    let elapsedTimer = null;
+    // CSV import that has been checked and awaits confirmation (see
+    // previewImport)
+    let pendingImport = null;
+
+    // Show the dashboard matching the account's role
+    function loadViewForAccount(account) {
+        if (account.role === 'employee') {
+            loadEmployeeView(account);
+        } else if (account.role === 'admin') {
+            loadAdminView(account);
+        }
+    }
+
+    // Resume a stored session after a page reload. The account is
+    // re‑read from storage so that deleted or deactivated accounts and
+    // role changes end the session.
+    async function restoreSession() {
+        const session = Session.get();
+        if (!session) return;
+        const accounts = await Storage.getAccounts();
+        const account = accounts.find(acc => acc.username === session.username && acc.role === session.role);
+        if (!account || account.mustChangePassword || !isAccountActive(account)) {
+            Session.clear();
+            return;
+        }
+        Storage.actor = account.username;
+        loadViewForAccount(account);
+    }
 
     // Display correct view after login
     function loadEmployeeView(account) {
@@ -620,27 +4577,78 @@ document.addEventListener('DOMContentLoaded', () => {
         adminSection.classList.add('hidden');
         employeeSection.classList.remove('hidden');
         employeeWelcome.textContent = `Welcome, ${account.username}!`;
-        // Inform the employee how their hours are recorded. Shifts are no longer
-        // pre‑scheduled; instead, time is calculated from punch in to punch out.
+        // Inform the employee how their hours are recorded, and of today's
+        // shift if they have a roster. Pay is calculated from punch in to
+        // punch out whatever the roster says.
         shiftInfo.textContent = 'Your hours will be recorded from when you punch in until you punch out.';
+        (async () => {
+            const schedule = (await Storage.getSchedules())[account.username];
+            const today = getZonedToday(getOrgTimeZone(await Storage.getPaySettings()));
+            const shift = getScheduledShift(schedule, today);
+            if (shift) {
+                shiftInfo.textContent = `You are scheduled today from ${shift.start.slice(11)} to ${shift.end.slice(11)}. ` +
+                    shiftInfo.textContent;
+            }
+        })();
         // Determine if currentPunch exists for this user. Fetch asynchronously
         (async () => {
             const currentPunchMap = await Storage.getCurrentPunch();
-            const today = new Date().toISOString().slice(0, 10);
-            if (currentPunchMap[currentUser.username] && currentPunchMap[currentUser.username].date === today) {
-                // Already punched in
-                hide(punchInBtn);
-                show(punchOutBtn);
-                const time = currentPunchMap[currentUser.username].punchIn;
-                punchMessage.textContent = `You punched in at ${time}.`;
+            storedPunch = currentPunchMap[currentUser.username] || null;
+            const openPunch = applyQueuedPunches(storedPunch, currentUser.username);
+            punchQueueStatus.textContent = describePunchQueue(currentUser.username);
+            updatePunchButtons(openPunch);
+            if (openPunch) {
+                // Already punched in. The punch may date from a previous
+                // day when working an overnight shift; "today" is judged
+                // in the organisation time zone.
+                const today = getZonedToday(getOrgTimeZone(await Storage.getPaySettings()));
+                const openBreak = getOpenBreak(openPunch);
+                if (openPunch.flaggedAt) {
+                    punchMessage.textContent = `Your punch-in on ${openPunch.date} at ${openPunch.punchIn} has no punch-out ` +
+                        'and was flagged for review. Ask an administrator to close the shift.';
+                } else if (openBreak) {
+                    punchMessage.textContent = `You are on a break since ${openBreak.start.replace('T', ' ')}.`;
+                } else if (openPunch.date === today) {
+                    punchMessage.textContent = `You punched in today at ${openPunch.punchIn}.`;
+                } else {
+                    punchMessage.textContent = `You punched in on ${openPunch.date} at ${openPunch.punchIn}.`;
+                }
             } else {
                 // Not punched in yet
-                show(punchInBtn);
-                hide(punchOutBtn);
                 punchMessage.textContent = '';
             }
         })();
         hide(historySection);
+        refreshTimesheetPeriods(account.username);
+    }
+
+    // Show the punch and break buttons that apply to the employee's open
+    // punch record (null when not punched in). A flagged forgotten
+    // punch-out can only be closed by an administrator.
+    function updatePunchButtons(record) {
+        if (record && record.flaggedAt) {
+            hide(punchInBtn);
+            hide(punchOutBtn);
+            hide(breakStartBtn);
+            hide(breakEndBtn);
+            return;
+        }
+        if (!record) {
+            show(punchInBtn);
+            hide(punchOutBtn);
+            hide(breakStartBtn);
+            hide(breakEndBtn);
+            return;
+        }
+        hide(punchInBtn);
+        show(punchOutBtn);
+        if (getOpenBreak(record)) {
+            hide(breakStartBtn);
+            show(breakEndBtn);
+        } else {
+            show(breakStartBtn);
+            hide(breakEndBtn);
+        }
     }
 
     function loadAdminView(account) {
@@ -652,16 +4660,157 @@ document.addEventListener('DOMContentLoaded', () => {
         (async () => {
             try {
                 const settings = await Storage.getPaySettings();
+                payPeriodTypeInput.value = settings.periodType || 'semimonthly';
                 payPeriodDaysInput.value = settings.startDays.join(',');
+                payPeriodAnchorInput.value = settings.anchorDate || '';
+                timeZoneInput.value = getOrgTimeZone(settings);
+                renderOvertimeRules(settings.overtimeRules || []);
+                workweekStartDayInput.value = String(settings.workweekStartDay ?? 0);
+                const breakPolicy = settings.breakPolicy || { autoMeal: false, afterHours: 6, mealMinutes: 30 };
+                autoMealInput.checked = !!breakPolicy.autoMeal;
+                autoMealAfterInput.value = breakPolicy.afterHours;
+                autoMealMinutesInput.value = breakPolicy.mealMinutes;
+                const roundingPolicy = settings.roundingPolicy || { increment: 0, direction: 'nearest', applyTo: 'both' };
+                roundingIncrementInput.value = String(roundingPolicy.increment);
+                roundingDirectionInput.value = roundingPolicy.direction;
+                roundingApplyToInput.value = roundingPolicy.applyTo;
+                const stalePunchPolicy = Object.assign({}, DEFAULT_STALE_PUNCH_POLICY, settings.stalePunchPolicy);
+                stalePunchActionInput.value = stalePunchPolicy.action;
+                maxShiftHoursInput.value = stalePunchPolicy.maxShiftHours;
+                const attendancePolicy = Object.assign({}, DEFAULT_ATTENDANCE_POLICY, settings.attendancePolicy);
+                lateGraceInput.value = attendancePolicy.lateGraceMinutes;
+                earlyLeaveGraceInput.value = attendancePolicy.earlyLeaveGraceMinutes;
+                missedPunchGraceInput.value = attendancePolicy.missedPunchGraceMinutes;
             } catch (e) {
+                payPeriodTypeInput.value = 'semimonthly';
                 payPeriodDaysInput.value = '1,15';
+                timeZoneInput.value = getDeviceTimeZone();
+                renderOvertimeRules([]);
             }
+            updatePayPeriodInputs();
+            payPeriodMessage.textContent = '';
+            overtimeRulesMessage.textContent = '';
+            breakPolicyMessage.textContent = '';
+            roundingPolicyMessage.textContent = '';
+            stalePunchPolicyMessage.textContent = '';
+            attendancePolicyMessage.textContent = '';
         })();
         // Refresh tables
+        hide(document.getElementById('employee-editor'));
+        hide(document.getElementById('rate-editor'));
         refreshEmployeeTable();
+        resetLogEditor();
+        // Forgotten punch-outs may have been left since the app loaded
+        handleStalePunches().then(result => {
+            if (result.closed || result.flagged) {
+                refreshOnTheClock();
+                refreshLogsTable();
+            }
+        }).catch(e => {
+            console.warn('Could not check for forgotten punch-outs:', e);
+        });
+        refreshOnTheClock();
         refreshLogsTable();
+        startLiveUpdates();
+        refreshAttendanceReport();
+        refreshTimesheetQueue();
+        refreshConflictsTable();
+        refreshAuditTable();
         hide(document.getElementById('summary-table'));
+        hide(document.getElementById('periods-table'));
         hide(document.getElementById('export-summary-button'));
+        exportProfileSelect.value = '';
+        applyExportProfile({ format: 'shifts' });
+        exportMessage.textContent = '';
+        refreshExportProfiles();
+        resetImport();
+    }
+
+    // Keep the "Currently on the clock" panel and the logs table up to
+    // date while the admin dashboard is open: punches and shifts recorded
+    // elsewhere are picked up through Storage.watch, and the elapsed
+    // times move on every minute.
+    function startLiveUpdates() {
+        if (stopWatching) return;
+        let pending = null;
+        stopWatching = Storage.watch(['currentPunch', 'logs'], () => {
+            // Several changes usually arrive together; refresh once
+            clearTimeout(pending);
+            pending = setTimeout(() => {
+                refreshOnTheClock();
+                refreshLogsTable();
+            }, 250);
+        });
+        elapsedTimer = setInterval(refreshOnTheClock, 60 * 1000);
+    }
+    function stopLiveUpdates() {
+        if (!stopWatching) return;
+        stopWatching();
+        stopWatching = null;
+        clearInterval(elapsedTimer);
+    }
+
+    // Show the kiosk keypad, ready for the next PIN
+    function loadKioskView() {
+        stopLiveUpdates();
+        currentUser = null;
+        Storage.actor = null;
+        [loginSection, changePasswordSection, employeeSection, adminSection].forEach(hide);
+        closePayStatement();
+        hide(kioskLoginNote);
+        show(kioskSection);
+        resetKiosk();
+    }
+
+    function resetKiosk() {
+        clearTimeout(kioskResetTimer);
+        kioskPin = '';
+        kioskPinDisplay.textContent = '';
+        kioskMessage.textContent = '';
+        kioskMessage.classList.remove('error');
+        kioskQueueStatus.textContent = describePunchQueue();
+    }
+
+    // Send punches queued while offline and refresh whatever is on screen
+    async function syncPunchQueue() {
+        if (!Storage.backend || PunchQueue.items().length === 0) return;
+        const processed = await replayPunchQueue();
+        if (!processed) return;
+        await refreshOfflineCache();
+        if (!kioskSection.classList.contains('hidden')) {
+            kioskQueueStatus.textContent = describePunchQueue();
+        } else if (currentUser && currentUser.role === 'employee') {
+            loadEmployeeView(currentUser);
+        } else if (currentUser && currentUser.role === 'admin') {
+            refreshLogsTable();
+            refreshConflictsTable();
+            refreshAuditTable();
+        }
+    }
+    window.addEventListener('online', syncPunchQueue);
+    setInterval(syncPunchQueue, PunchQueue.retryMs);
+
+    // Handle a key pressed on the kiosk keypad (a digit, "clear" or "enter")
+    function pressKioskKey(key) {
+        if (kioskMessage.textContent) resetKiosk();
+        if (/^\d$/.test(key) && kioskPin.length < 8) {
+            kioskPin += key;
+        } else if (key === 'clear') {
+            kioskPin = '';
+        } else if (key === 'enter' && kioskPin) {
+            const pin = kioskPin;
+            kioskPin = '';
+            (async () => {
+                try {
+                    kioskMessage.textContent = await kioskPunch(pin);
+                } catch (e) {
+                    kioskMessage.textContent = e.message;
+                    kioskMessage.classList.add('error');
+                }
+                kioskResetTimer = setTimeout(resetKiosk, Kiosk.resetMs);
+            })();
+        }
+        kioskPinDisplay.textContent = '•'.repeat(kioskPin.length);
     }
 
     // Handle login
@@ -670,99 +4819,180 @@ document.addEventListener('DOMContentLoaded', () => {
         const password = loginPassword.value;
         const role = loginRole.value;
         (async () => {
+            if (Kiosk.isEnabled() && role !== 'admin') {
+                loginError.textContent = 'Only an administrator can leave kiosk mode.';
+                return;
+            }
             const accounts = await Storage.getAccounts();
-            const account = accounts.find(acc => acc.username === username && acc.password === password && acc.role === role);
-            if (!account) {
+            let account = accounts.find(acc => acc.username === username && acc.role === role);
+            if (!account || !(await verifyPassword(account, password))) {
                 loginError.textContent = 'Invalid credentials or role.';
                 return;
             }
-            loginError.textContent = '';
-            if (account.role === 'employee') {
-                loadEmployeeView(account);
-            } else if (account.role === 'admin') {
-                loadAdminView(account);
+            if (!isAccountActive(account)) {
+                loginError.textContent = 'This account has been deactivated. Please contact an administrator.';
+                return;
             }
+            Storage.actor = account.username;
+            Kiosk.disable();
+            hide(kioskLoginNote);
+            // Transparently migrate legacy plaintext passwords. An admin
+            // still using the default credentials must change them.
+            if (typeof account.password === 'string') {
+                const mustChangePassword = account.mustChangePassword ||
+                    (account.role === 'admin' && account.username === 'admin' && password === 'admin');
+                account = await Storage.upsertAccount(Object.assign({}, account, { password, mustChangePassword }));
+            }
+            loginError.textContent = '';
             // Clear login fields
             loginUsername.value = '';
             loginPassword.value = '';
+            if (account.mustChangePassword) {
+                pendingAccount = account;
+                hide(loginSection);
+                show(changePasswordSection);
+                return;
+            }
+            Session.create(account);
+            loadViewForAccount(account);
+        })();
+    });
+
+    // Handle forced password change
+    changePasswordBtn.addEventListener('click', () => {
+        const newPassword = newPasswordInput.value;
+        const confirmPassword = confirmPasswordInput.value;
+        (async () => {
+            if (!pendingAccount) return;
+            if (newPassword.length < 8) {
+                changePasswordError.textContent = 'Password must be at least 8 characters.';
+                return;
+            }
+            if (newPassword !== confirmPassword) {
+                changePasswordError.textContent = 'Passwords do not match.';
+                return;
+            }
+            if (await verifyPassword(pendingAccount, newPassword)) {
+                changePasswordError.textContent = 'Choose a password different from the current one.';
+                return;
+            }
+            const { passwordHash, salt, iterations, ...rest } = pendingAccount;
+            const account = await Storage.upsertAccount(Object.assign(rest, { password: newPassword, mustChangePassword: false }));
+            pendingAccount = null;
+            newPasswordInput.value = '';
+            confirmPasswordInput.value = '';
+            changePasswordError.textContent = '';
+            hide(changePasswordSection);
+            Session.create(account);
+            loadViewForAccount(account);
         })();
     });
 
+    // Show a punch that was queued because the device is offline
+    function showQueuedPunch(item) {
+        updatePunchButtons(applyQueuedPunches(storedPunch, item.username));
+        const { time } = getZonedParts(new Date(item.at), getOrgTimeZone(OfflineCache.get()));
+        punchMessage.textContent = `${PUNCH_ACTION_LABELS[item.action]} at ${time} saved on this device. ` +
+            'It will be sent when the connection returns.';
+        punchQueueStatus.textContent = describePunchQueue(item.username);
+    }
+
     // Employee punch in
     punchInBtn.addEventListener('click', () => {
         (async () => {
-            const now = new Date();
-            const timeStr = now.toTimeString().slice(0, 5);
-            const today = now.toISOString().slice(0, 10);
-            const record = { date: today, punchIn: timeStr };
-            if (Storage.useFirestore) {
-                await Storage.setCurrentPunch(currentUser.username, record);
-            } else {
-                const currentPunchMap = await Storage.getCurrentPunch();
-                currentPunchMap[currentUser.username] = record;
-                await Storage.setCurrentPunch(currentPunchMap);
+            let outcome;
+            try {
+                outcome = await recordPunch(currentUser.username, 'in');
+            } catch (e) {
+                alert(e.message);
+                // Show the shift punched in elsewhere
+                if (e.punchConflict) loadEmployeeView(currentUser);
+                return;
             }
-            hide(punchInBtn);
-            show(punchOutBtn);
-            punchMessage.textContent = `You punched in at ${timeStr}.`;
+            if (outcome.queued) {
+                showQueuedPunch(outcome.item);
+                return;
+            }
+            storedPunch = outcome.result;
+            updatePunchButtons(storedPunch);
+            punchMessage.textContent = `You punched in at ${storedPunch.punchIn}.`;
         })();
     });
 
-    // Employee punch out
-    punchOutBtn.addEventListener('click', () => {
-        // Convert this handler into an asynchronous routine using an
-        // immediately invoked async function. This allows us to
-        // retrieve current punch information and pay settings from
-        // storage regardless of whether Firestore or localStorage is in use.
+    // Employee starts a break
+    breakStartBtn.addEventListener('click', () => {
         (async () => {
-            const now = new Date();
-            const timeOutStr = now.toTimeString().slice(0, 5);
-            const today = now.toISOString().slice(0, 10);
-            // Retrieve the current punch map and locate this user's record
-            const currentPunchMap = await Storage.getCurrentPunch();
-            const punchRecord = currentPunchMap[currentUser.username];
-            if (!punchRecord || punchRecord.date !== today) {
-                alert('No punch in record found for today.');
+            let outcome;
+            try {
+                outcome = await recordPunch(currentUser.username, 'breakStart');
+            } catch (e) {
+                alert(e.message);
                 return;
             }
-            const timeInStr = punchRecord.punchIn;
-            // Determine minutes worked based solely on actual punch times.
-            const minutesWorked = computeWorkedMinutes(timeInStr, timeOutStr);
-            // Retrieve pay settings to determine the pay period start
-            let startDays;
+            if (outcome.queued) {
+                showQueuedPunch(outcome.item);
+                return;
+            }
+            storedPunch = outcome.result;
+            updatePunchButtons(storedPunch);
+            punchMessage.textContent = `Break started at ${storedPunch.breaks[storedPunch.breaks.length - 1].start.slice(11)}.`;
+        })();
+    });
+
+    // Employee ends a break
+    breakEndBtn.addEventListener('click', () => {
+        (async () => {
+            let outcome;
             try {
-                const settings = await Storage.getPaySettings();
-                startDays = settings.startDays;
+                outcome = await recordPunch(currentUser.username, 'breakEnd');
             } catch (e) {
-                startDays = [1, 15];
-            }
-            const payPeriodStart = getPayPeriodStart(now, startDays);
-            // Persist the log entry
-            await Storage.addLog({
-                username: currentUser.username,
-                date: today,
-                punchIn: timeInStr,
-                punchOut: timeOutStr,
-                minutesWorked,
-                payPeriodStart
-            });
-            // Remove current punch for this user
-            if (Storage.useFirestore) {
-                await Storage.setCurrentPunch(currentUser.username, null);
-            } else {
-                delete currentPunchMap[currentUser.username];
-                await Storage.setCurrentPunch(currentPunchMap);
+                alert(e.message);
+                return;
+            }
+            if (outcome.queued) {
+                showQueuedPunch(outcome.item);
+                return;
+            }
+            storedPunch = outcome.result;
+            updatePunchButtons(storedPunch);
+            punchMessage.textContent = `Break ended at ${storedPunch.breaks[storedPunch.breaks.length - 1].end.slice(11)}.`;
+        })();
+    });
+
+    // Employee punch out
+    punchOutBtn.addEventListener('click', () => {
+        (async () => {
+            let outcome;
+            try {
+                outcome = await recordPunch(currentUser.username, 'out');
+            } catch (e) {
+                alert(e.message);
+                return;
+            }
+            if (outcome.queued) {
+                showQueuedPunch(outcome.item);
+                return;
             }
+            const log = outcome.result;
+            storedPunch = null;
             // Update the UI
-            show(punchInBtn);
-            hide(punchOutBtn);
-            punchMessage.textContent = `You punched out at ${timeOutStr}. Total worked: ${formatHours(minutesWorked)} hours.`;
+            updatePunchButtons(null);
+            punchMessage.textContent = `You punched out at ${log.punchOut}. Total worked: ${formatHours(log.minutesWorked)} hours.`;
+            refreshTimesheetPeriods(currentUser.username);
             // Refresh logs and summary so administrators see the latest data
             refreshLogsTable();
             refreshSummaryTable();
         })();
     });
 
+    // Timesheet review and submission
+    timesheetPeriodSelect.addEventListener('change', () => {
+        refreshTimesheetTable(currentUser.username);
+    });
+    submitTimesheetBtn.addEventListener('click', () => {
+        submitTimesheet(currentUser.username);
+    });
+
     // View history
     viewHistoryBtn.addEventListener('click', () => {
         if (historySection.classList.contains('hidden')) {
@@ -774,21 +5004,73 @@ document.addEventListener('DOMContentLoaded', () => {
             viewHistoryBtn.textContent = 'View History';
         }
     });
+    viewStatementBtn.addEventListener('click', () => {
+        if (statementPeriodSelect.value) openPayStatement(currentUser.username, statementPeriodSelect.value);
+    });
+
+    // Pay statement, opened from the summary table or the history
+    printStatementBtn.addEventListener('click', () => {
+        window.print();
+    });
+    closeStatementBtn.addEventListener('click', closePayStatement);
 
     // Employee logout
     employeeLogoutBtn.addEventListener('click', () => {
         currentUser = null;
+        Storage.actor = null;
+        Session.clear();
         hide(employeeSection);
         show(loginSection);
         historySection.classList.add('hidden');
         viewHistoryBtn.textContent = 'View History';
+        closePayStatement();
     });
 
     // Admin logout
     adminLogoutBtn.addEventListener('click', () => {
+        stopLiveUpdates();
         currentUser = null;
+        Storage.actor = null;
+        Session.clear();
         hide(adminSection);
         show(loginSection);
+        closePayStatement();
+    });
+
+    // Switch this device to kiosk mode. The administrator is signed out
+    // and has to log in again to leave it.
+    startKioskBtn.addEventListener('click', () => {
+        if (!confirm('Switch this device to kiosk mode? It will only show the PIN keypad until an administrator logs in again.')) return;
+        Kiosk.enable();
+        Session.clear();
+        loadKioskView();
+    });
+
+    // Kiosk keypad, also usable with a keyboard
+    document.querySelectorAll('.kiosk-key').forEach(btn => {
+        btn.addEventListener('click', () => pressKioskKey(btn.dataset.key));
+    });
+    document.addEventListener('keydown', e => {
+        if (kioskSection.classList.contains('hidden')) return;
+        if (/^\d$/.test(e.key)) pressKioskKey(e.key);
+        else if (e.key === 'Enter') pressKioskKey('enter');
+        else if (e.key === 'Backspace' || e.key === 'Escape') pressKioskKey('clear');
+    });
+
+    // Leaving kiosk mode goes through the login form, which only accepts
+    // an administrator while kiosk mode is on
+    kioskExitBtn.addEventListener('click', () => {
+        resetKiosk();
+        hide(kioskSection);
+        loginRole.value = 'admin';
+        loginError.textContent = '';
+        show(kioskLoginNote);
+        show(loginSection);
+    });
+    kioskReturnBtn.addEventListener('click', () => {
+        loginUsername.value = '';
+        loginPassword.value = '';
+        loadKioskView();
     });
 
     // Add employee
@@ -796,42 +5078,235 @@ document.addEventListener('DOMContentLoaded', () => {
         const username = newEmpUsername.value.trim();
         const password = newEmpPassword.value;
         const rate = parseFloat(newEmpRate.value);
+        const pin = newEmpPin.value.trim();
         // Validate fields
         if (!username || !password || isNaN(rate)) {
             addEmployeeError.textContent = 'Please enter a username, password and hourly rate.';
             return;
         }
+        if (!isValidUsername(username)) {
+            addEmployeeError.textContent = 'Usernames may only contain letters, digits, dots, dashes and underscores (up to 32).';
+            return;
+        }
+        if (pin && !isValidPin(pin)) {
+            addEmployeeError.textContent = 'A PIN must be 4 to 8 digits.';
+            return;
+        }
         const accounts = await Storage.getAccounts();
         if (accounts.some(acc => acc.username === username)) {
             addEmployeeError.textContent = 'Username already exists.';
             return;
         }
-        // Persist new employee. Shift start and end are not stored because
-        // shifts are defined by punch in/out times.
-        await Storage.upsertAccount({ username, password, role: 'employee', hourlyRate: rate });
+        // Persist new employee. Their weekly roster is set up separately.
+        await Storage.upsertAccount({
+            username, password, role: 'employee', rateHistory: [{ effectiveFrom: null, rate }]
+        });
+        addEmployeeError.textContent = '';
+        if (pin) {
+            try {
+                await setEmployeePin(username, pin);
+            } catch (e) {
+                addEmployeeError.textContent = `Employee added without a PIN: ${e.message}`;
+            }
+        }
         // Clear inputs
         newEmpUsername.value = '';
         newEmpPassword.value = '';
         newEmpRate.value = '';
-        addEmployeeError.textContent = '';
+        newEmpPin.value = '';
         refreshEmployeeTable();
     });
 
-    // Save pay period settings
+    // Show the pay period inputs that apply to the selected schedule
+    function updatePayPeriodInputs() {
+        if (payPeriodTypeInput.value === 'semimonthly') {
+            show(payPeriodDaysRow);
+            hide(payPeriodAnchorRow);
+        } else {
+            hide(payPeriodDaysRow);
+            show(payPeriodAnchorRow);
+        }
+    }
+    payPeriodTypeInput.addEventListener('change', updatePayPeriodInputs);
+
+    // Offer the browser's list of time zones as suggestions
+    if (typeof Intl.supportedValuesOf === 'function') {
+        Intl.supportedValuesOf('timeZone').forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            timeZoneOptions.appendChild(option);
+        });
+    }
+
+    // Save pay period settings. The semi-monthly start days are kept
+    // when switching to a weekly schedule so that older logs can still
+    // report their period end.
     savePayPeriodBtn.addEventListener('click', () => {
         (async () => {
-            const input = payPeriodDaysInput.value.trim();
-            const parts = input.split(',').map(s => parseInt(s.trim())).filter(n => !isNaN(n) && n >= 1 && n <= 31);
-            if (parts.length === 0) {
-                payPeriodMessage.textContent = 'Please enter valid day numbers separated by commas.';
+            const periodType = payPeriodTypeInput.value;
+            const timeZone = timeZoneInput.value.trim();
+            if (!isValidTimeZone(timeZone)) {
+                payPeriodMessage.textContent = 'Please enter a time zone such as America/New_York.';
                 return;
             }
-            parts.sort((a, b) => a - b);
-            await Storage.setPaySettings({ startDays: parts });
+            const settings = await Storage.getPaySettings();
+            const updated = Object.assign({}, settings, { periodType, timeZone });
+            if (periodType === 'semimonthly') {
+                const input = payPeriodDaysInput.value.trim();
+                const parts = input.split(',').map(s => parseInt(s.trim())).filter(n => !isNaN(n) && n >= 1 && n <= 31);
+                if (parts.length === 0) {
+                    payPeriodMessage.textContent = 'Please enter valid day numbers separated by commas.';
+                    return;
+                }
+                parts.sort((a, b) => a - b);
+                updated.startDays = parts;
+            } else {
+                if (!payPeriodAnchorInput.value) {
+                    payPeriodMessage.textContent = 'Please choose the first day of a pay period.';
+                    return;
+                }
+                updated.anchorDate = payPeriodAnchorInput.value;
+            }
+            await Storage.setPaySettings(updated);
             payPeriodMessage.textContent = 'Pay period settings saved.';
         })();
     });
 
+    // Overtime rules
+    addOvertimeRuleBtn.addEventListener('click', () => {
+        addOvertimeRuleRow();
+    });
+    saveOvertimeRulesBtn.addEventListener('click', () => {
+        (async () => {
+            const rules = readOvertimeRules();
+            if (!rules) {
+                overtimeRulesMessage.textContent = 'Each rule needs a threshold of 0 or more hours and a multiplier of at least 1.';
+                return;
+            }
+            const settings = await Storage.getPaySettings();
+            await Storage.setPaySettings(Object.assign({}, settings, {
+                overtimeRules: rules,
+                workweekStartDay: parseInt(workweekStartDayInput.value)
+            }));
+            overtimeRulesMessage.textContent = 'Overtime rules saved.';
+        })();
+    });
+
+    // Break policy
+    saveBreakPolicyBtn.addEventListener('click', () => {
+        (async () => {
+            const afterHours = parseFloat(autoMealAfterInput.value);
+            const mealMinutes = parseInt(autoMealMinutesInput.value);
+            if (isNaN(afterHours) || afterHours < 0 || isNaN(mealMinutes) || mealMinutes < 0) {
+                breakPolicyMessage.textContent = 'Please enter a shift length in hours and a meal length in minutes.';
+                return;
+            }
+            const settings = await Storage.getPaySettings();
+            await Storage.setPaySettings(Object.assign({}, settings, {
+                breakPolicy: { autoMeal: autoMealInput.checked, afterHours, mealMinutes }
+            }));
+            breakPolicyMessage.textContent = 'Break policy saved.';
+        })();
+    });
+
+    // Employee edit dialog
+    saveEmployeeBtn.addEventListener('click', () => {
+        saveEmployeeEditor();
+    });
+    cancelEmployeeBtn.addEventListener('click', () => {
+        hide(document.getElementById('employee-editor'));
+    });
+
+    // Employee rate history
+    addRateBtn.addEventListener('click', () => {
+        addRateRow();
+    });
+    saveRatesBtn.addEventListener('click', () => {
+        saveRateEditor();
+    });
+    closeRatesBtn.addEventListener('click', () => {
+        hide(document.getElementById('rate-editor'));
+    });
+
+    // Punch rounding
+    saveRoundingPolicyBtn.addEventListener('click', () => {
+        (async () => {
+            const settings = await Storage.getPaySettings();
+            await Storage.setPaySettings(Object.assign({}, settings, {
+                roundingPolicy: {
+                    increment: parseInt(roundingIncrementInput.value),
+                    direction: roundingDirectionInput.value,
+                    applyTo: roundingApplyToInput.value
+                }
+            }));
+            roundingPolicyMessage.textContent = 'Rounding policy saved. It applies to shifts recorded from now on.';
+        })();
+    });
+
+    // Forgotten punch-outs
+    saveStalePunchPolicyBtn.addEventListener('click', () => {
+        (async () => {
+            const maxShiftHours = parseFloat(maxShiftHoursInput.value);
+            if (isNaN(maxShiftHours) || maxShiftHours <= 0) {
+                stalePunchPolicyMessage.textContent = 'Please enter a maximum shift length in hours.';
+                return;
+            }
+            const settings = await Storage.getPaySettings();
+            await Storage.setPaySettings(Object.assign({}, settings, {
+                stalePunchPolicy: { action: stalePunchActionInput.value, maxShiftHours }
+            }));
+            const result = await handleStalePunches();
+            stalePunchPolicyMessage.textContent = `Policy saved. ${result.closed} shift(s) closed, ${result.flagged} flagged for review.`;
+            refreshOnTheClock();
+            refreshLogsTable();
+            refreshAuditTable();
+        })();
+    });
+
+    // Weekly roster
+    rosterEmployeeSelect.addEventListener('change', () => {
+        renderRoster();
+    });
+    saveRosterBtn.addEventListener('click', () => {
+        (async () => {
+            const username = rosterEmployeeSelect.value;
+            if (!username) {
+                rosterMessage.textContent = 'Please add an employee first.';
+                return;
+            }
+            const schedule = readRoster();
+            if (!schedule) {
+                rosterMessage.textContent = 'Each working day needs a start and an end time that differ.';
+                return;
+            }
+            const working = schedule.days.some(day => day);
+            await Storage.setSchedule(username, working ? schedule : null);
+            rosterMessage.textContent = working ? `Roster saved for ${username}.` : `Roster cleared for ${username}.`;
+        })();
+    });
+
+    // Attendance policy and exceptions report
+    saveAttendancePolicyBtn.addEventListener('click', () => {
+        (async () => {
+            const lateGraceMinutes = parseInt(lateGraceInput.value);
+            const earlyLeaveGraceMinutes = parseInt(earlyLeaveGraceInput.value);
+            const missedPunchGraceMinutes = parseInt(missedPunchGraceInput.value);
+            if ([lateGraceMinutes, earlyLeaveGraceMinutes, missedPunchGraceMinutes].some(n => isNaN(n) || n < 0)) {
+                attendancePolicyMessage.textContent = 'Please enter each grace period as 0 or more minutes.';
+                return;
+            }
+            const settings = await Storage.getPaySettings();
+            await Storage.setPaySettings(Object.assign({}, settings, {
+                attendancePolicy: { lateGraceMinutes, earlyLeaveGraceMinutes, missedPunchGraceMinutes }
+            }));
+            attendancePolicyMessage.textContent = 'Attendance policy saved.';
+            refreshAttendanceReport();
+        })();
+    });
+    attendanceReportBtn.addEventListener('click', () => {
+        refreshAttendanceReport();
+    });
+
     // Generate summary button
     generateSummaryBtn.addEventListener('click', () => {
         refreshSummaryTable();
@@ -841,4 +5316,155 @@ document.addEventListener('DOMContentLoaded', () => {
     exportSummaryBtn.addEventListener('click', () => {
         exportSummary();
     });
+
+    // Payroll export and its saved profiles
+    exportProfileSelect.addEventListener('change', () => {
+        (async () => {
+            const name = exportProfileSelect.value;
+            const profile = (await Storage.getExportProfiles()).find(p => p.name === name);
+            applyExportProfile(profile || { format: exportFormatInput.value });
+            exportMessage.textContent = '';
+        })();
+    });
+    exportFormatInput.addEventListener('change', () => {
+        renderExportColumns(exportFormatInput.value);
+    });
+    exportDownloadBtn.addEventListener('click', () => {
+        runExport();
+    });
+    saveExportProfileBtn.addEventListener('click', () => {
+        (async () => {
+            const profile = readExportProfile();
+            if (!profile) {
+                exportMessage.textContent = 'Choose at least one column to export.';
+                return;
+            }
+            if (!profile.name) {
+                exportMessage.textContent = 'Please enter a profile name.';
+                return;
+            }
+            await Storage.saveExportProfile(profile);
+            exportProfileSelect.value = '';
+            await refreshExportProfiles();
+            exportProfileSelect.value = profile.name;
+            exportMessage.textContent = `Profile "${profile.name}" saved.`;
+            refreshAuditTable();
+        })();
+    });
+    deleteExportProfileBtn.addEventListener('click', () => {
+        (async () => {
+            const name = exportProfileSelect.value;
+            if (!name) {
+                exportMessage.textContent = 'Choose a saved profile to delete.';
+                return;
+            }
+            if (!confirm(`Delete the export profile "${name}"?`)) return;
+            await Storage.deleteExportProfile(name);
+            exportProfileSelect.value = '';
+            await refreshExportProfiles();
+            applyExportProfile({ format: exportFormatInput.value });
+            exportMessage.textContent = `Profile "${name}" deleted.`;
+            refreshAuditTable();
+        })();
+    });
+
+    // Admin log editor
+    logEditSaveBtn.addEventListener('click', () => {
+        saveLogEditor(currentUser.username);
+    });
+    logEditCancelBtn.addEventListener('click', () => {
+        resetLogEditor();
+    });
+
+    // Audit trail
+    auditFilterBtn.addEventListener('click', () => {
+        refreshAuditTable();
+    });
+    auditExportBtn.addEventListener('click', () => {
+        exportAudit();
+    });
+
+    // Data backup
+    backupExportBtn.addEventListener('click', () => {
+        exportAllData();
+    });
+    backupImportBtn.addEventListener('click', () => {
+        (async () => {
+            if (await importAllData()) loadAdminView(currentUser);
+        })();
+    });
+    backupCopyBtn.addEventListener('click', () => {
+        (async () => {
+            await copyAllData();
+            refreshAuditTable();
+        })();
+    });
+
+    // CSV import: check the file, then save its valid rows
+    function resetImport() {
+        pendingImport = null;
+        importFileInput.value = '';
+        importMessage.textContent = '';
+        importError.textContent = '';
+        hide(document.getElementById('import-preview-table'));
+        hide(importCommitBtn);
+        hide(importCancelBtn);
+    }
+    importTypeInput.addEventListener('change', resetImport);
+    importFileInput.addEventListener('change', () => {
+        pendingImport = null;
+        hide(document.getElementById('import-preview-table'));
+        hide(importCommitBtn);
+        hide(importCancelBtn);
+    });
+    importPreviewBtn.addEventListener('click', () => {
+        (async () => {
+            importMessage.textContent = '';
+            importError.textContent = '';
+            pendingImport = null;
+            hide(importCommitBtn);
+            const result = await previewImport();
+            if (result.error) {
+                importError.textContent = result.error;
+                hide(document.getElementById('import-preview-table'));
+                return;
+            }
+            renderImportPreview(result);
+            const valid = result.items.filter(item => item.errors.length === 0).length;
+            const skipped = result.items.length - valid;
+            importMessage.textContent = `${valid} of ${result.items.length} rows can be imported` +
+                (skipped ? `; ${skipped} with errors will be skipped.` : '.');
+            show(importCancelBtn);
+            if (valid) {
+                pendingImport = result;
+                show(importCommitBtn);
+            }
+        })();
+    });
+    importCommitBtn.addEventListener('click', () => {
+        (async () => {
+            if (!pendingImport) return;
+            const { type } = pendingImport;
+            let count;
+            try {
+                count = await commitImport(pendingImport, currentUser.username);
+            } catch (e) {
+                importMessage.textContent = '';
+                importError.textContent = `Import stopped at ${e.message}`;
+                pendingImport = null;
+                hide(importCommitBtn);
+                refreshEmployeeTable();
+                refreshLogsTable();
+                return;
+            }
+            pendingImport = null;
+            hide(importCommitBtn);
+            hide(importCancelBtn);
+            importMessage.textContent = `Imported ${count} ${type === 'accounts' ? 'accounts' : 'shifts'}.`;
+            refreshEmployeeTable();
+            refreshLogsTable();
+            refreshAuditTable();
+        })();
+    });
+    importCancelBtn.addEventListener('click', resetImport);
 });
\ No newline at end of file
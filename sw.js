@@ -0,0 +1,62 @@
+/*
+ * Timekeeper service worker.
+ *
+ * Caches the app shell – the page, its styles and scripts, the vendored
+ * Firebase SDK and the icons – so that the app can be installed and
+ * keeps working without a network. Data requests (the REST API and
+ * Firestore) always go to the network; punches made while offline are
+ * queued by the app itself.
+ *
+ * Bump CACHE_VERSION whenever any of the cached files change. Browsers
+ * then install the new version next to the running one, and it waits
+ * until the user accepts the "new version" prompt shown by script.js.
+ */
+const CACHE_VERSION = 11;
+const CACHE_NAME = `timekeeper-v${CACHE_VERSION}`;
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'config.js',
+    'manifest.webmanifest',
+    'vendor/firebase-app-compat.js',
+    'vendor/firebase-firestore-compat.js',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+});
+
+// Once this version takes over, remove the caches of older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('timekeeper-') && key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting version to take over when the user accepts
+// the update prompt
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Serve the app shell from the cache, falling back to the network for
+// everything else. Offline navigations get the cached page.
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request).catch(() => (
+            request.mode === 'navigate' ? caches.match('index.html') : Response.error()
+        )))
+    );
+});